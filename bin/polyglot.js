@@ -0,0 +1,7 @@
+#!/usr/bin/env node
+
+'use strict';
+
+var cli = require('../cli');
+
+process.exitCode = cli.run(process.argv.slice(2));
@@ -0,0 +1,398 @@
+//     (c) 2012-2018 Airbnb, Inc.
+//
+//     polyglot.js may be freely distributed under the terms of the BSD
+//     license. For all licensing information, details, and documention:
+//     http://airbnb.github.com/polyglot.js
+//
+//
+// The `polyglot` command, which checks JSON phrase files, nested or flat:
+//
+//     polyglot lint locales/de.json
+//     polyglot diff locales/en.json locales/de.json
+//     polyglot stats locales/en.json locales/*.json
+//     polyglot extract src/*.js --bundle locales/en.json
+//
+// The locale of a file is taken from its name, as in `de.json` or
+// `pt-BR.json`, unless the `--locale` option sets it. With `--format json`,
+// the results are written as JSON, for scripts and CI. The command exits
+// with 1 if it finds problems, and with 2 if it can't check the files.
+//
+
+'use strict';
+
+var fs = require('fs');
+var path = require('path');
+var has = require('has');
+var Polyglot = require('./index');
+var extractor = require('./extractor');
+var syntax = require('./lib/syntax');
+
+var usage = [
+  'Usage: polyglot <command> [options]',
+  '',
+  'Commands:',
+  '  lint <file>...             Check the phrases of each file for malformed phrases',
+  '  diff <source> <target>...  Compare the translations in each target with the source',
+  '  stats <source> <target>... Report how much of the source each target translates',
+  '  extract <file>...          Extract the keys that the code in each file translates',
+  '',
+  'Options:',
+  '  --locale <locale>          The locale of the files, instead of their names',
+  '  --message-format <format>  The syntax of the phrases: polyglot (default) or icu',
+  '  --prefix <prefix>          The prefix of placeholders, "%{" by default',
+  '  --suffix <suffix>          The suffix of placeholders, "}" by default',
+  '  --function <name>          A translation function for extract, "t" and "tParts" by',
+  '                             default; repeat it for more functions',
+  '  --bundle <file>            A phrase file to compare the extracted keys with; repeat',
+  '                             it for more files',
+  '  --format <format>          The output: text (default) or json',
+  '  --help                     Show this help',
+  ''
+].join('\n');
+
+var valueOptions = {
+  '--locale': 'locale',
+  '--message-format': 'messageFormat',
+  '--prefix': 'prefix',
+  '--suffix': 'suffix',
+  '--format': 'format'
+};
+
+// Options that can be repeated, collected in arrays.
+var listOptions = {
+  '--function': 'functions',
+  '--bundle': 'bundles'
+};
+
+var localeRegex = /^[a-z]{2,3}(?:[-_][A-Za-z0-9]{2,8})*$/;
+
+// Thrown for problems with the command line, which are reported with the
+// usage, or with the files, which are reported without a stack trace.
+function CommandError(message, showUsage) {
+  this.name = 'CommandError';
+  this.message = message;
+  this.showUsage = Boolean(showUsage);
+}
+CommandError.prototype = Object.create(Error.prototype);
+CommandError.prototype.constructor = CommandError;
+
+// Splits the arguments into the command, the files and the options.
+function parseArguments(args) {
+  var parsed = { files: [], options: { format: 'text' } };
+  for (var i = 0; i < args.length; i += 1) {
+    var arg = args[i];
+    var separator = arg.indexOf('=');
+    var name = arg.slice(0, 2) === '--' && separator !== -1 ? arg.slice(0, separator) : arg;
+
+    if (arg === '--help' || arg === '-h') {
+      parsed.help = true;
+    } else if (has(valueOptions, name) || has(listOptions, name)) {
+      var value = name === arg ? args[i + 1] : arg.slice(separator + 1);
+      if (value === undefined) {
+        throw new CommandError('Missing the value of ' + name, true);
+      }
+      if (has(listOptions, name)) {
+        var list = listOptions[name];
+        parsed.options[list] = (parsed.options[list] || []).concat(value);
+      } else {
+        parsed.options[valueOptions[name]] = value;
+      }
+      i += name === arg ? 1 : 0;
+    } else if (arg.charAt(0) === '-' && arg !== '-') {
+      throw new CommandError('Unknown option ' + arg, true);
+    } else if (parsed.command === undefined) {
+      parsed.command = arg;
+    } else {
+      parsed.files.push(arg);
+    }
+  }
+
+  if (parsed.options.format !== 'text' && parsed.options.format !== 'json') {
+    throw new CommandError('Unknown output format "' + parsed.options.format + '"', true);
+  }
+  return parsed;
+}
+
+// Checks the options that set the syntax of the phrases, once the output
+// format is known to report problems with.
+function checkOptions(options) {
+  var messageFormat = options.messageFormat;
+  if (messageFormat !== undefined && messageFormat !== 'polyglot' && messageFormat !== 'icu') {
+    throw new CommandError('Unknown message format "' + messageFormat + '"', true);
+  }
+  try {
+    syntax.tokenAffixes({ prefix: options.prefix, suffix: options.suffix });
+  } catch (e) {
+    if (!(e instanceof RangeError)) {
+      throw e;
+    }
+    throw new CommandError('Invalid --prefix or --suffix: ' + e.message, true);
+  }
+}
+
+// Reads the phrases of a JSON file.
+function readPhrases(file, io) {
+  var source;
+  try {
+    source = io.readFile(file);
+  } catch (e) {
+    throw new CommandError('Cannot read ' + file + ': ' + e.message);
+  }
+  var phrases;
+  try {
+    phrases = JSON.parse(source);
+  } catch (e) {
+    throw new CommandError('Cannot parse ' + file + ': ' + e.message);
+  }
+  if (phrases === null || typeof phrases !== 'object' || Array.isArray(phrases)) {
+    throw new CommandError('Expected ' + file + ' to contain an object of phrases');
+  }
+  return phrases;
+}
+
+// The locale of a file: the `--locale` option, or its name if it looks like
+// a locale, or `en`.
+function fileLocale(file, options) {
+  if (options.locale) {
+    return options.locale;
+  }
+  var name = path.basename(file, path.extname(file));
+  return localeRegex.test(name) ? name.replace(/_/g, '-') : 'en';
+}
+
+function polyglotOptions(options) {
+  var opts = { messageFormat: options.messageFormat };
+  if (options.prefix || options.suffix) {
+    opts.interpolation = { prefix: options.prefix, suffix: options.suffix };
+  }
+  return opts;
+}
+
+function countKeys(phrases) {
+  return Object.keys(phrases).reduce(function (count, key) {
+    var phrase = phrases[key];
+    return count + (phrase !== null && typeof phrase === 'object' ? countKeys(phrase) : 1);
+  }, 0);
+}
+
+function plural(count, word) {
+  return count + ' ' + word + (count === 1 ? '' : 's');
+}
+
+// Formats a diagnostic as a line of text.
+function diagnosticLine(file, diagnostic) {
+  var location = diagnostic.position === undefined
+    ? diagnostic.key
+    : diagnostic.key + ':' + diagnostic.position;
+  return file + ': ' + location + ': ' + diagnostic.message + ' [' + diagnostic.problem + ']';
+}
+
+function diagnosticsText(results) {
+  var count = 0;
+  var lines = [];
+  results.forEach(function (result) {
+    count += result.diagnostics.length;
+    result.diagnostics.forEach(function (diagnostic) {
+      lines.push(diagnosticLine(result.file, diagnostic));
+    });
+  });
+  lines.push(count === 0 ? 'No problems found' : plural(count, 'problem') + ' found');
+  return lines.join('\n') + '\n';
+}
+
+// ### polyglot lint <file>...
+function lint(parsed, io) {
+  if (parsed.files.length === 0) {
+    throw new CommandError('lint expects at least one file', true);
+  }
+  var results = parsed.files.map(function (file) {
+    var locale = fileLocale(file, parsed.options);
+    return {
+      file: file,
+      locale: locale,
+      diagnostics: Polyglot.validate(
+        readPhrases(file, io),
+        locale,
+        polyglotOptions(parsed.options)
+      )
+    };
+  });
+  return {
+    results: results,
+    text: diagnosticsText(results),
+    failed: results.some(function (result) { return result.diagnostics.length > 0; })
+  };
+}
+
+// ### polyglot diff <source> <target>...
+function diff(parsed, io) {
+  if (parsed.files.length < 2) {
+    throw new CommandError('diff expects a source file and at least one target file', true);
+  }
+  var sourceFile = parsed.files[0];
+  var source = readPhrases(sourceFile, io);
+  var results = parsed.files.slice(1).map(function (file) {
+    var locale = fileLocale(file, parsed.options);
+    return {
+      source: sourceFile,
+      file: file,
+      locale: locale,
+      diagnostics: Polyglot.compare(
+        source,
+        readPhrases(file, io),
+        locale,
+        polyglotOptions(parsed.options)
+      )
+    };
+  });
+  return {
+    results: results,
+    text: diagnosticsText(results),
+    failed: results.some(function (result) { return result.diagnostics.length > 0; })
+  };
+}
+
+// ### polyglot stats <source> <target>...
+function stats(parsed, io) {
+  if (parsed.files.length < 2) {
+    throw new CommandError('stats expects a source file and at least one target file', true);
+  }
+  var sourceFile = parsed.files[0];
+  var source = readPhrases(sourceFile, io);
+  var total = countKeys(source);
+  var results = parsed.files.slice(1).map(function (file) {
+    var locale = fileLocale(file, parsed.options);
+    var target = readPhrases(file, io);
+    var counts = { missing: 0, extra: 0 };
+    var diagnostics = Polyglot.compare(source, target, locale, polyglotOptions(parsed.options));
+    diagnostics.forEach(function (diagnostic) {
+      if (diagnostic.problem === 'missing-key') {
+        counts.missing += 1;
+      } else if (diagnostic.problem === 'extra-key') {
+        counts.extra += 1;
+      }
+    });
+    var translated = total - counts.missing;
+    return {
+      source: sourceFile,
+      file: file,
+      locale: locale,
+      total: total,
+      translated: translated,
+      missing: counts.missing,
+      extra: counts.extra,
+      coverage: total === 0 ? 100 : Math.floor((translated / total) * 1000) / 10
+    };
+  });
+  var lines = results.map(function (result) {
+    return result.file + ': ' + result.coverage + '% (' + result.translated + '/' + result.total
+      + ' keys translated, ' + result.missing + ' missing, ' + result.extra + ' extra)';
+  });
+  return { results: results, text: lines.join('\n') + '\n', failed: false };
+}
+
+// ### polyglot extract <file>...
+//
+// Writes the skeleton of the phrases that the files translate, or, with
+// bundles to compare them with, reports the keys that no bundle defines and
+// the keys of each bundle that the files don't use.
+function extract(parsed, io) {
+  if (parsed.files.length === 0) {
+    throw new CommandError('extract expects at least one file', true);
+  }
+  var usages = [];
+  parsed.files.forEach(function (file) {
+    var source;
+    try {
+      source = io.readFile(file);
+    } catch (e) {
+      throw new CommandError('Cannot read ' + file + ': ' + e.message);
+    }
+    usages.push.apply(usages, extractor.extract(source, {
+      file: file,
+      functions: parsed.options.functions
+    }));
+  });
+  var results = { usages: usages, skeleton: extractor.skeleton(usages) };
+
+  var bundleFiles = parsed.options.bundles;
+  if (!bundleFiles) {
+    return { results: results, text: JSON.stringify(results.skeleton, null, 2) + '\n', failed: false };
+  }
+
+  var found = extractor.report(usages, bundleFiles.map(function (file) {
+    return readPhrases(file, io);
+  }));
+  results.missing = found.missing;
+  results.unused = bundleFiles.map(function (file, index) {
+    return { file: file, keys: found.unused[index] };
+  });
+
+  var lines = found.missing.map(function (missing) {
+    return missing.file + ':' + missing.line + ':' + missing.column + ': The key "' + missing.key
+      + '" is not defined in any bundle [missing-key]';
+  });
+  results.unused.forEach(function (bundle) {
+    bundle.keys.forEach(function (key) {
+      lines.push(bundle.file + ': ' + key + ': The key is not used in the code [unused-key]');
+    });
+  });
+  lines.push(lines.length === 0 ? 'No problems found' : plural(lines.length, 'problem') + ' found');
+  return { results: results, text: lines.join('\n') + '\n', failed: lines.length > 1 };
+}
+
+var commands = {
+  lint: lint,
+  diff: diff,
+  stats: stats,
+  extract: extract
+};
+
+// ### run(args[, io])
+//
+// Runs the `polyglot` command with the arguments `args`, writing to the
+// `stdout` and `stderr` of `io` and reading files with its `readFile`, and
+// returns the exit code.
+function run(args, io) {
+  var streams = io || {
+    stdout: process.stdout,
+    stderr: process.stderr,
+    readFile: function (file) { return fs.readFileSync(file, 'utf8'); }
+  };
+
+  var parsed;
+  var outcome;
+  try {
+    parsed = parseArguments(args);
+    if (parsed.help) {
+      streams.stdout.write(usage);
+      return 0;
+    }
+    checkOptions(parsed.options);
+    if (!has(commands, parsed.command)) {
+      throw new CommandError(parsed.command === undefined
+        ? 'Missing the command'
+        : 'Unknown command "' + parsed.command + '"', true);
+    }
+    outcome = commands[parsed.command](parsed, streams);
+  } catch (e) {
+    if (!(e instanceof CommandError)) {
+      throw e;
+    }
+    if (parsed && parsed.options.format === 'json') {
+      streams.stdout.write(JSON.stringify({ error: e.message }, null, 2) + '\n');
+    } else {
+      streams.stderr.write('polyglot: ' + e.message + '\n' + (e.showUsage ? '\n' + usage : ''));
+    }
+    return 2;
+  }
+
+  streams.stdout.write(parsed.options.format === 'json'
+    ? JSON.stringify({ results: outcome.results }, null, 2) + '\n'
+    : outcome.text);
+  return outcome.failed ? 1 : 0;
+}
+
+module.exports = {
+  run: run
+};
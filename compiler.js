@@ -0,0 +1,166 @@
+//     (c) 2012-2018 Airbnb, Inc.
+//
+//     polyglot.js may be freely distributed under the terms of the BSD
+//     license. For all licensing information, details, and documention:
+//     http://airbnb.github.com/polyglot.js
+//
+//
+// The ahead-of-time compiler of Polyglot: it compiles phrases at build time
+// into a JavaScript module, with the same parsers that `index.js` uses at
+// runtime. The module exports a render function for every key, which the
+// runtime in `runtime.js` translates without needing the parsers.
+//
+//     var compiler = require('node-polyglot/compiler');
+//     fs.writeFileSync('de.js', compiler.compile(require('./de.json')));
+//
+//     var Polyglot = require('node-polyglot/runtime');
+//     var polyglot = new Polyglot({locale: 'de', phrases: require('./de.js')});
+//
+
+'use strict';
+
+var objectEntries = require('object.entries');
+var has = require('has');
+var syntax = require('./lib/syntax');
+var phraseParser = require('./lib/phrase-parser');
+var icuMessageFormat = require('./lib/icu-message-format');
+var validator = require('./lib/validator');
+
+var replace = String.prototype.replace;
+
+// The parsers, and the runtime functions that build render functions out of
+// their results, by message format.
+var messageFormats = {
+  polyglot: {
+    parse: phraseParser.parse,
+    renderer: 'phraseRenderer'
+  },
+  icu: {
+    parse: icuMessageFormat.parse,
+    renderer: 'messageRenderer'
+  }
+};
+
+// Serializes parsed phrases as JavaScript. `JSON.stringify` leaves the line
+// and paragraph separators unescaped, which older engines don't allow in
+// string literals.
+function toSource(value) {
+  return replace.call(JSON.stringify(value), /[\u2028\u2029]/g, function (character) {
+    return '\\u' + character.charCodeAt(0).toString(16);
+  });
+}
+
+// The problems of `Polyglot.validate` that make a phrase malformed. The
+// others depend on the locale or on the other phrases, and are left to it.
+var syntaxProblems = [
+  'malformed-message',
+  'unclosed-placeholder',
+  'empty-placeholder',
+  'stray-delimiter',
+  'empty-variant'
+];
+
+function malformedPhraseError(key, position, message) {
+  var error = new SyntaxError('Malformed phrase for key "' + key + '": ' + message);
+  error.key = key;
+  error.position = position;
+  return error;
+}
+
+// Throws for the first malformed phrase of `phrases`, which the parsers
+// would otherwise compile as best they can.
+function checkSyntax(phrases, opts) {
+  var malformed = validator.validate(phrases, {
+    messageFormat: opts.messageFormat,
+    interpolation: opts.interpolation
+  }).filter(function (diagnostic) {
+    return syntaxProblems.indexOf(diagnostic.problem) !== -1;
+  });
+  if (malformed.length > 0) {
+    throw malformedPhraseError(malformed[0].key, malformed[0].position, malformed[0].message);
+  }
+}
+
+// Parses the phrases of a nested phrases object, and returns the source of
+// an object literal with a render function for each of them.
+function compileObject(phrases, prefix, parse, indent) {
+  var lines = objectEntries(phrases).map(function (entry) {
+    var key = prefix ? prefix + '.' + entry[0] : entry[0];
+    var phrase = entry[1];
+    var value;
+
+    if (phrase !== null && typeof phrase === 'object') {
+      value = compileObject(phrase, key, parse, indent + '  ');
+    } else if (typeof phrase === 'string') {
+      try {
+        value = 'render(' + toSource(parse(phrase)) + ')';
+      } catch (e) {
+        if (!(e instanceof SyntaxError)) {
+          throw e;
+        }
+        throw malformedPhraseError(key, e.position, e.message);
+      }
+    } else {
+      throw new TypeError('Expected the phrase for key "' + key + '" to be a string');
+    }
+
+    return indent + '  ' + toSource(entry[0]) + ': ' + value;
+  });
+
+  return lines.length > 0 ? '{\n' + lines.join(',\n') + '\n' + indent + '}' : '{}';
+}
+
+// ### compile(phrases[, options])
+//
+// Compiles a phrases object, nested or flat, into the source of a JavaScript
+// module that exports a render function for every key, in the same shape.
+// Throws a `SyntaxError`, with the `key` and `position` of the problem, for
+// malformed phrases.
+//
+// The options are:
+//
+//  - `messageFormat`: the syntax of the phrases, `"polyglot"` (the default)
+//    or `"icu"`, as for `new Polyglot`;
+//  - `interpolation`: the `prefix` and `suffix` of placeholders in Polyglot
+//    phrases, as for `new Polyglot`;
+//  - `runtime`: the module to require the runtime from, which defaults to
+//    `"node-polyglot/runtime"`;
+//  - `module`: the module system of the output, `"commonjs"` (the default)
+//    or `"esm"`.
+function compile(phrases, options) {
+  var opts = options || {};
+  var messageFormat = opts.messageFormat || 'polyglot';
+  if (!has(messageFormats, messageFormat)) {
+    throw new RangeError('Unknown message format "' + messageFormat + '"');
+  }
+  var moduleSystem = opts.module || 'commonjs';
+  if (moduleSystem !== 'commonjs' && moduleSystem !== 'esm') {
+    throw new RangeError('Unknown module system "' + moduleSystem + '"');
+  }
+
+  var format = messageFormats[messageFormat];
+  var tokenRegex = syntax.constructTokenRegex(opts.interpolation);
+  var parse = messageFormat === 'polyglot'
+    ? function (phrase) { return format.parse(phrase, tokenRegex); }
+    : format.parse;
+  var runtime = toSource(opts.runtime || 'node-polyglot/runtime');
+  checkSyntax(phrases || {}, { messageFormat: messageFormat, interpolation: opts.interpolation });
+  var body = compileObject(phrases || {}, '', parse, '');
+
+  var header = moduleSystem === 'esm'
+    ? ['import Polyglot from ' + runtime + ';']
+    : ['\'use strict\';', '', 'var Polyglot = require(' + runtime + ');'];
+  var exported = moduleSystem === 'esm' ? 'export default ' : 'module.exports = ';
+
+  return ['// Phrases compiled by Polyglot. Do not edit.', ''].concat(header, [
+    '',
+    'var render = Polyglot.' + format.renderer + ';',
+    '',
+    exported + body + ';',
+    ''
+  ]).join('\n');
+}
+
+module.exports = {
+  compile: compile
+};
@@ -0,0 +1,471 @@
+//     (c) 2012-2018 Airbnb, Inc.
+//
+//     polyglot.js may be freely distributed under the terms of the BSD
+//     license. For all licensing information, details, and documention:
+//     http://airbnb.github.com/polyglot.js
+//
+//
+// The key extractor of Polyglot: it scans JavaScript, JSX and TypeScript
+// source for the keys passed to `polyglot.t()`, so that the phrases the code
+// uses can be compared with the phrases the bundles define.
+//
+//     var extractor = require('node-polyglot/extractor');
+//     var usages = extractor.extract(fs.readFileSync('app.jsx', 'utf8'), {file: 'app.jsx'});
+//     // [{key: 'hello', defaultPhrase: 'Hello!', file: 'app.jsx', line: 3, column: 12}]
+//
+// The source is only tokenized, not parsed, so keys are found in any syntax
+// the tokenizer gets through, but only when they are string literals:
+// `polyglot.t(key)` can't be extracted.
+//
+
+'use strict';
+
+var has = require('has');
+var flattenPhrases = require('./lib/flatten-phrases');
+var fromCodePoint = require('./lib/from-code-point');
+var syntax = require('./lib/syntax');
+
+var replace = String.prototype.replace;
+var split = String.prototype.split;
+
+var defaultFunctions = ['t', 'tParts'];
+
+// Keywords after which an expression can start, such as a string literal
+// or a regular expression, rather than a division.
+var expressionKeywords = [
+  'return', 'typeof', 'instanceof', 'in', 'of', 'new', 'delete', 'void', 'throw',
+  'case', 'do', 'else', 'yield', 'await', 'import', 'from', 'export', 'default'
+];
+
+var escapes = {
+  b: '\b', f: '\f', n: '\n', r: '\r', t: '\t', v: '\v', 0: '\0'
+};
+
+// Decodes the escape sequences of the body of a string literal.
+function unescapeString(body) {
+  return body.replace(
+    /\\(u\{[0-9a-fA-F]+\}|u[0-9a-fA-F]{4}|x[0-9a-fA-F]{2}|\r\n|[\s\S])/g,
+    function (match, sequence) {
+      var first = sequence.charAt(0);
+      if ((first === 'u' || first === 'x') && sequence.length > 1) {
+        var hex = sequence.charAt(1) === '{' ? sequence.slice(2, -1) : sequence.slice(1);
+        return fromCodePoint(parseInt(hex, 16));
+      }
+      if (sequence === '\n' || sequence === '\r' || sequence === '\r\n') {
+        return '';
+      }
+      return has(escapes, sequence) ? escapes[sequence] : sequence;
+    }
+  );
+}
+
+// Returns the index after the string literal at `start`, or -1 if it runs
+// into the end of its line, as `'` does in JSX text.
+function skipQuoted(source, start, quote) {
+  var index = start + 1;
+  while (index < source.length) {
+    var character = source.charAt(index);
+    if (character === '\\') {
+      index += 2;
+    } else if (character === quote) {
+      return index + 1;
+    } else if (character === '\n' || character === '\r') {
+      return -1;
+    } else {
+      index += 1;
+    }
+  }
+  return -1;
+}
+
+// Returns the index after the regular expression literal at `start`, or -1
+// if there is none.
+function skipRegex(source, start) {
+  var index = start + 1;
+  var inClass = false;
+  while (index < source.length) {
+    var character = source.charAt(index);
+    if (character === '\n' || character === '\r') {
+      return -1;
+    }
+    if (character === '\\') {
+      index += 1;
+    } else if (character === '[') {
+      inClass = true;
+    } else if (character === ']') {
+      inClass = false;
+    } else if (character === '/' && !inClass) {
+      var flags = /^[a-z]*/.exec(source.slice(index + 1))[0];
+      return index + 1 + flags.length;
+    }
+    index += 1;
+  }
+  return -1;
+}
+
+// Whether a literal can start after the `previous` token. Quotes can't
+// start one right after a name, as in the JSX text `Don't`, and slashes
+// can't right after `<`, as in `</p>`.
+function startsLiteral(previous, character) {
+  if (!previous) {
+    return true;
+  }
+  if (previous.type === 'name') {
+    return expressionKeywords.indexOf(previous.value) !== -1;
+  }
+  var closing = character === '/' ? ')]}<' : ')]}';
+  return previous.type === 'punctuator' && closing.indexOf(previous.value) === -1;
+}
+
+// Splits the source, from `from`, into names, string literals (with `value`
+// decoded, or `null` for templates with expressions) and punctuators,
+// skipping comments, whitespace and regular expressions. The expressions of
+// template literals are tokenized as well, as the `expressions` of their
+// token. Returns the tokens, and the `end` where tokenizing stopped: the end
+// of the source, or, for a template expression, the `}` that closes it.
+function tokenize(source, from, isTemplateExpression) {
+  var tokens = [];
+  var index = from || 0;
+  var depth = 0;
+  var push = function (type, value, start) {
+    var token = { type: type, value: value, start: start };
+    tokens.push(token);
+    return token;
+  };
+
+  // Reads the template literal at `start`, and returns the index after it,
+  // or -1 if it is not closed.
+  var readTemplate = function (start) {
+    var expressions = [];
+    var position = start + 1;
+    while (position < source.length) {
+      var next = source.charAt(position);
+      if (next === '\\') {
+        position += 2;
+      } else if (next === '`') {
+        var body = source.slice(start + 1, position);
+        var token = push('string', expressions.length > 0 ? null : unescapeString(body), start);
+        if (expressions.length > 0) {
+          token.expressions = expressions;
+        }
+        return position + 1;
+      } else if (next === '$' && source.charAt(position + 1) === '{') {
+        var expression = tokenize(source, position + 2, true);
+        expressions.push(expression.tokens);
+        position = expression.end + 1;
+      } else {
+        position += 1;
+      }
+    }
+    return -1;
+  };
+
+  while (index < source.length) {
+    var character = source.charAt(index);
+    var rest = source.slice(index, index + 2);
+    var start = index;
+    var end;
+
+    if (isTemplateExpression && character === '}' && depth === 0) {
+      break;
+    } else if (/\s/.test(character)) {
+      index += 1;
+    } else if (rest === '//') {
+      end = source.slice(index).search(/[\n\r]/);
+      index = end === -1 ? source.length : index + end;
+    } else if (rest === '/*') {
+      end = source.indexOf('*/', index + 2);
+      index = end === -1 ? source.length : end + 2;
+    } else if (character === '`') {
+      end = readTemplate(index);
+      if (end === -1) {
+        push('punctuator', character, start);
+        index += 1;
+      } else {
+        index = end;
+      }
+    } else if ((character === '\'' || character === '"')
+      && startsLiteral(tokens[tokens.length - 1], character)) {
+      end = skipQuoted(source, index, character);
+      if (end === -1) {
+        push('punctuator', character, start);
+        index += 1;
+      } else {
+        push('string', unescapeString(source.slice(index + 1, end - 1)), start);
+        index = end;
+      }
+    } else if (/[A-Za-z_$\u00a0-\uffff]/.test(character)) {
+      var name = /^[\w$\u00a0-\uffff]+/.exec(source.slice(index))[0];
+      push('name', name, start);
+      index += name.length;
+    } else if (/[0-9]/.test(character)) {
+      index += /^[\w.]+/.exec(source.slice(index))[0].length;
+      push('number', source.slice(start, index), start);
+    } else if (character === '/' && startsLiteral(tokens[tokens.length - 1], character)
+      && skipRegex(source, index) !== -1) {
+      index = skipRegex(source, index);
+      push('regex', source.slice(start, index), start);
+    } else {
+      depth += { '{': 1, '}': -1 }[character] || 0;
+      push('punctuator', character, start);
+      index += 1;
+    }
+  }
+  return { tokens: tokens, end: index };
+}
+
+// Converts an index in the source into a line and column, both from 1.
+function locator(source) {
+  var lineStarts = [0];
+  source.replace(/\r\n?|\n/g, function (newline, offset) {
+    lineStarts.push(offset + newline.length);
+    return newline;
+  });
+  return function (index) {
+    var line = 0;
+    while (line + 1 < lineStarts.length && lineStarts[line + 1] <= index) {
+      line += 1;
+    }
+    return { line: line + 1, column: index - lineStarts[line] + 1 };
+  };
+}
+
+function isPunctuator(token, value) {
+  return Boolean(token) && token.type === 'punctuator' && token.value === value;
+}
+
+// Reads a string literal, or a concatenation of string literals, at
+// `index`. Returns the string and the index after it, or `null`.
+function readString(tokens, index) {
+  var value = '';
+  var i = index;
+  for (;;) {
+    var token = tokens[i];
+    if (!token || token.type !== 'string' || token.value === null) {
+      return null;
+    }
+    value += token.value;
+    if (!isPunctuator(tokens[i + 1], '+')) {
+      return { value: value, end: i + 1 };
+    }
+    i += 2;
+  }
+}
+
+// Reads the string literal of the `name` option, such as the `_` default
+// phrase, of the object literal at `index`, if it has one.
+function readStringOption(tokens, index, name) {
+  var depth = 0;
+  for (var i = index; i < tokens.length; i += 1) {
+    var token = tokens[i];
+    if (token.type === 'punctuator' && '{[('.indexOf(token.value) !== -1) {
+      depth += 1;
+    } else if (token.type === 'punctuator' && '}])'.indexOf(token.value) !== -1) {
+      depth -= 1;
+      if (depth === 0) {
+        return undefined;
+      }
+    } else if (depth === 1 && token.value === name && isPunctuator(tokens[i + 1], ':')
+      && (isPunctuator(tokens[i - 1], '{') || isPunctuator(tokens[i - 1], ','))) {
+      var phrase = readString(tokens, i + 2);
+      return phrase ? phrase.value : undefined;
+    }
+  }
+  return undefined;
+}
+
+// Returns the index of the `<` of the TypeScript type arguments that end at
+// `index`, as in `t<string>(`, or `index` if there are none.
+function typeArgumentsStart(tokens, index) {
+  var depth = 0;
+  for (var i = index - 1; i >= 0; i -= 1) {
+    var token = tokens[i];
+    if (isPunctuator(token, '>')) {
+      depth += 1;
+    } else if (isPunctuator(token, '<')) {
+      depth -= 1;
+      if (depth === 0) {
+        return tokens[i - 1] && tokens[i - 1].type === 'name' ? i : index;
+      }
+    } else if (depth === 0 || (token.type !== 'name'
+      && !(token.type === 'punctuator' && '.,|&[]'.indexOf(token.value) !== -1))) {
+      return index;
+    }
+  }
+  return index;
+}
+
+// Returns the names of the callee of the call whose arguments, or type
+// arguments, start at `index`, as in `['this', 'polyglot', 't']`, or `null`
+// if it is not a call of a name.
+function calleeNames(tokens, index) {
+  var names = [];
+  var i = index - 1;
+  while (tokens[i] && tokens[i].type === 'name') {
+    names.unshift(tokens[i].value);
+    if (!isPunctuator(tokens[i - 1], '.')) {
+      break;
+    }
+    i -= isPunctuator(tokens[i - 2], '?') ? 3 : 2;
+  }
+  var before = tokens[i - 1];
+  var isDeclaration = before && before.type === 'name' && before.value === 'function';
+  return names.length > 0 && !isDeclaration ? names : null;
+}
+
+// Whether the callee `names` end with one of the function names.
+function matchesFunction(names, functions) {
+  return functions.some(function (fn) {
+    var parts = split.call(fn, '.');
+    var offset = names.length - parts.length;
+    return offset >= 0 && parts.every(function (part, i) {
+      return names[offset + i] === part;
+    });
+  });
+}
+
+// ### extract(source[, options])
+//
+// Returns the keys passed to the translation functions in `source`, as
+// usages with the `key`, the `defaultPhrase` given with `_` and the
+// `context` if any, and the `line` and `column` of the call, from 1. The
+// options are:
+//
+//  - `functions`: the names of the translation functions, which match any
+//    call whose callee ends with them, such as `"t"` for `t()` and
+//    `polyglot.t()`, or `"i18n.t"` for `i18n.t()` only. Defaults to `t`
+//    and `tParts`;
+//  - `file`: the name of the file, added to the usages.
+function extract(source, options) {
+  var opts = options || {};
+  var functions = opts.functions || defaultFunctions;
+  var locate = locator(source);
+  var usages = [];
+
+  var callUsage = function (tokens, index) {
+    var calleeEnd = typeArgumentsStart(tokens, index);
+    var names = calleeNames(tokens, calleeEnd);
+    var key = names && matchesFunction(names, functions) ? readString(tokens, index + 1) : null;
+    if (!key) {
+      return null;
+    }
+    var usage = { key: key.value };
+    if (isPunctuator(tokens[key.end], ',') && isPunctuator(tokens[key.end + 1], '{')) {
+      var defaultPhrase = readStringOption(tokens, key.end + 1, '_');
+      var context = readStringOption(tokens, key.end + 1, 'context');
+      if (defaultPhrase !== undefined) {
+        usage.defaultPhrase = defaultPhrase;
+      }
+      if (context) {
+        usage.context = context;
+      }
+    }
+    if (opts.file !== undefined) {
+      usage.file = opts.file;
+    }
+    var location = locate(tokens[calleeEnd - 1].start);
+    usage.line = location.line;
+    usage.column = location.column;
+    return usage;
+  };
+
+  var extractTokens = function (tokens) {
+    tokens.forEach(function (token, index) {
+      var usage = isPunctuator(token, '(') ? callUsage(tokens, index) : null;
+      if (usage) {
+        usages.push(usage);
+      }
+      if (token.expressions) {
+        token.expressions.forEach(extractTokens);
+      }
+    });
+  };
+
+  extractTokens(tokenize(source).tokens);
+  return usages;
+}
+
+// Returns the keys that the runtime looks a usage up with: the key in its
+// context, such as `post@verb`, if it has one, and the key itself.
+function usageKeys(usage) {
+  return usage.context
+    ? [usage.key + syntax.contextSeparator + usage.context, usage.key]
+    : [usage.key];
+}
+
+// ### skeleton(usages)
+//
+// Builds a flat phrases object out of usages, with the default phrase of
+// each key, or an empty string for keys used without one. Usages with a
+// `context` add the key in that context, such as `post@verb`.
+//
+//     skeleton(extract("polyglot.t('hello', {_: 'Hello!'}); polyglot.t('bye');"));
+//     // {hello: 'Hello!', bye: ''}
+function skeleton(usages) {
+  var phrases = {};
+  usages.forEach(function (usage) {
+    var key = usageKeys(usage)[0];
+    if (!has(phrases, key) || (phrases[key] === '' && usage.defaultPhrase)) {
+      phrases[key] = usage.defaultPhrase || '';
+    }
+  });
+  return phrases;
+}
+
+// Returns the keys that the phrases of `entries` reference with `$t(key)`,
+// which translating those phrases needs too.
+function referencedKeys(entries) {
+  var keys = [];
+  entries.forEach(function (entry) {
+    if (typeof entry[1] === 'string') {
+      replace.call(entry[1], syntax.referenceRegex, function (reference, key) {
+        keys.push(key);
+        return reference;
+      });
+    }
+  });
+  return keys;
+}
+
+// ### report(usages, bundles)
+//
+// Compares usages with the phrases of one or more bundles, nested or flat,
+// and returns the keys that no usage needs, by bundle, as `unused`, and the
+// usages of keys that no bundle defines, as `missing`. A usage with a
+// `context` needs both the key in that context and the key itself, which
+// `t` falls back to. Keys that bundle phrases reference with `$t(key)` are
+// used as well.
+//
+//     report(usages, [en, de]);
+//     // {unused: [['old.title'], ['old.title']], missing: [{key: 'new.title', ...}]}
+function report(usages, bundles) {
+  var bundleList = Array.isArray(bundles) ? bundles : [bundles];
+  var bundleEntries = bundleList.map(function (phrases) { return flattenPhrases(phrases); });
+  var bundleKeys = bundleEntries.map(function (entries) {
+    return entries.map(function (entry) { return entry[0]; });
+  });
+  var used = {};
+  usages.forEach(function (usage) {
+    usageKeys(usage).forEach(function (key) { used[key] = true; });
+  });
+  bundleEntries.forEach(function (entries) {
+    referencedKeys(entries).forEach(function (key) { used[key] = true; });
+  });
+
+  return {
+    unused: bundleKeys.map(function (keys) {
+      return keys.filter(function (key) { return !has(used, key); });
+    }),
+    missing: usages.filter(function (usage) {
+      return !usageKeys(usage).some(function (usageKey) {
+        return bundleKeys.some(function (keys) { return keys.indexOf(usageKey) !== -1; });
+      });
+    })
+  };
+}
+
+module.exports = {
+  extract: extract,
+  skeleton: skeleton,
+  report: report
+};
@@ -0,0 +1,283 @@
+//     (c) 2012-2018 Airbnb, Inc.
+//
+//     polyglot.js may be freely distributed under the terms of the BSD
+//     license. For all licensing information, details, and documention:
+//     http://airbnb.github.com/polyglot.js
+//
+//
+// Converters between Polyglot phrases and gettext PO files, for translation
+// tools that only work with those.
+//
+//     var gettext = require('node-polyglot/gettext');
+//     fs.writeFileSync('de.po', gettext.toPO(de, {locale: 'de', source: en}));
+//     polyglot.extend(gettext.fromPO(fs.readFileSync('de.po', 'utf8')));
+//
+// Every phrase is an entry whose `msgctxt` is its key, whose `msgid` is the
+// source phrase and whose `msgstr` is the translation. Phrases with plural
+// variants are entries with a `msgid_plural`, and a `msgstr[n]` for each of
+// the variants of the locale, in the order of its plural type. Placeholders
+// are left as they are.
+//
+//     msgctxt "num_cars"
+//     msgid "%{smart_count} car"
+//     msgid_plural "%{smart_count} cars"
+//     msgstr[0] "%{smart_count} Auto"
+//     msgstr[1] "%{smart_count} Autos"
+//
+
+'use strict';
+
+var has = require('has');
+var trim = require('string.prototype.trim');
+var Polyglot = require('./runtime');
+var syntax = require('./lib/syntax');
+var flattenPhrases = require('./lib/flatten-phrases');
+var pluralVariants = require('./lib/plural-variants');
+
+var split = String.prototype.split;
+
+// The `Plural-Forms` of the plural types of Polyglot, which choose the same
+// variants as they do.
+var pluralFormsByType = {
+  arabic: 'nplurals=6; plural=(n==0 ? 0 : n==1 ? 1 : n==2 ? 2 : n%100>=3 && n%100<=10 ? 3 : n%100>=11 ? 4 : 5);',
+  bosnian_serbian: 'nplurals=3; plural=(n%10==1 && n%100!=11 ? 0 : n%10>=2 && n%10<=4 && (n%100<10 || n%100>=20) ? 1 : 2);',
+  chinese: 'nplurals=1; plural=0;',
+  croatian: 'nplurals=3; plural=(n%10==1 && n%100!=11 ? 0 : n%10>=2 && n%10<=4 && (n%100<10 || n%100>=20) ? 1 : 2);',
+  french: 'nplurals=2; plural=(n > 1);',
+  german: 'nplurals=2; plural=(n != 1);',
+  russian: 'nplurals=3; plural=(n%10==1 && n%100!=11 ? 0 : n%10>=2 && n%10<=4 && (n%100<10 || n%100>=20) ? 1 : 2);',
+  lithuanian: 'nplurals=3; plural=(n%10==1 && n%100!=11 ? 0 : n%10>=2 && (n%100<10 || n%100>=20) ? 1 : 2);',
+  czech: 'nplurals=3; plural=(n==1 ? 0 : n>=2 && n<=4 ? 1 : 2);',
+  polish: 'nplurals=3; plural=(n==1 ? 0 : n%10>=2 && n%10<=4 && (n%100<10 || n%100>=20) ? 1 : 2);',
+  icelandic: 'nplurals=2; plural=(n%10!=1 || n%100==11);',
+  slovenian: 'nplurals=4; plural=(n%100==1 ? 0 : n%100==2 ? 1 : n%100==3 || n%100==4 ? 2 : 3);'
+};
+
+// #### Writing PO files
+
+function quote(text) {
+  return '"' + text
+    .replace(/\\/g, '\\\\')
+    .replace(/"/g, '\\"')
+    .replace(/\t/g, '\\t')
+    .replace(/\r/g, '\\r')
+    .replace(/\n/g, '\\n') + '"';
+}
+
+// Formats a keyword and its string, over several lines if the string has
+// line breaks.
+function field(keyword, text) {
+  var lines = text.match(/[^\n]*\n|[^\n]+$/g);
+  if (!lines || lines.length === 1) {
+    return keyword + ' ' + quote(text);
+  }
+  return [keyword + ' ""'].concat(lines.map(quote)).join('\n');
+}
+
+function headerEntry(headers) {
+  var text = Object.keys(headers).map(function (name) {
+    return name + ': ' + headers[name] + '\n';
+  }).join('');
+  return [field('msgid', ''), field('msgstr', text)].join('\n');
+}
+
+// Returns the entry of a phrase.
+function phraseEntry(key, source, translation, pluralCount) {
+  var sourceVariants = pluralVariants(source);
+  var translationVariants = pluralVariants(translation);
+  var lines = [field('msgctxt', key)];
+
+  if (!sourceVariants && !translationVariants) {
+    lines.push(field('msgid', source), field('msgstr', translation));
+    return lines.join('\n');
+  }
+
+  var singular = sourceVariants ? sourceVariants[0] : source;
+  var plural = sourceVariants ? sourceVariants[sourceVariants.length - 1] : source;
+  lines.push(field('msgid', singular), field('msgid_plural', plural));
+  for (var i = 0; i < pluralCount; i += 1) {
+    var variant = translationVariants ? translationVariants[i] : translation;
+    lines.push(field('msgstr[' + i + ']', variant || ''));
+  }
+  return lines.join('\n');
+}
+
+// ### toPO(phrases[, options])
+//
+// Converts the phrases of a locale, nested or flat, into a PO file. The
+// options are:
+//
+//  - `locale`: the locale of the phrases, `"en"` by default, which sets the
+//    number of plural variants and the `Plural-Forms`;
+//  - `source`: the source phrases that the phrases translate, used for the
+//    `msgid` of each entry. Every key of the source gets an entry, with an
+//    empty `msgstr` if the phrases don't translate it. Without a source, the
+//    phrases are their own source;
+//  - `pluralRules`: custom plural rules, as for `new Polyglot`;
+//  - `pluralForms`: the `Plural-Forms` header, for custom plural rules or
+//    locales without a plural type, whose variants follow their CLDR plural
+//    categories;
+//  - `headers`: more headers, such as `Project-Id-Version`.
+function toPO(phrases, options) {
+  var opts = options || {};
+  var locale = opts.locale || 'en';
+  var typeName = Polyglot.pluralTypeName(locale, opts.pluralRules);
+  var pluralForms = opts.pluralForms
+    || (!opts.pluralRules && has(pluralFormsByType, typeName) ? pluralFormsByType[typeName] : null);
+  var pluralCount = Polyglot.pluralVariantCount(locale, opts.pluralRules);
+
+  var headers = {
+    Language: locale,
+    'MIME-Version': '1.0',
+    'Content-Type': 'text/plain; charset=UTF-8',
+    'Content-Transfer-Encoding': '8bit'
+  };
+  if (pluralForms) {
+    headers['Plural-Forms'] = pluralForms;
+  }
+  Object.keys(opts.headers || {}).forEach(function (name) {
+    headers[name] = opts.headers[name];
+  });
+
+  var translations = {};
+  flattenPhrases(phrases).forEach(function (entry) { translations[entry[0]] = entry[1]; });
+
+  var entries = [headerEntry(headers)];
+  flattenPhrases(opts.source || phrases).forEach(function (entry) {
+    var translation = has(translations, entry[0]) ? translations[entry[0]] : '';
+    if (typeof entry[1] === 'string' && typeof translation === 'string') {
+      entries.push(phraseEntry(entry[0], entry[1], translation, pluralCount));
+    }
+  });
+  return entries.join('\n\n') + '\n';
+}
+
+// ### toPOT(phrases[, options])
+//
+// Converts source phrases, nested or flat, into a PO template, whose entries
+// have empty translations, with two plural variants. The `headers` option
+// adds headers.
+function toPOT(phrases, options) {
+  var opts = options || {};
+  var headers = {
+    'MIME-Version': '1.0',
+    'Content-Type': 'text/plain; charset=UTF-8',
+    'Content-Transfer-Encoding': '8bit',
+    'Plural-Forms': 'nplurals=INTEGER; plural=EXPRESSION;'
+  };
+  Object.keys(opts.headers || {}).forEach(function (name) {
+    headers[name] = opts.headers[name];
+  });
+
+  var entries = [headerEntry(headers)];
+  flattenPhrases(phrases).forEach(function (entry) {
+    if (typeof entry[1] === 'string') {
+      entries.push(phraseEntry(entry[0], entry[1], '', 2));
+    }
+  });
+  return entries.join('\n\n') + '\n';
+}
+
+// #### Reading PO files
+
+var unescapes = {
+  n: '\n', t: '\t', r: '\r', a: '\u0007', b: '\b', f: '\f', v: '\v'
+};
+
+function unquote(text) {
+  return text.replace(/\\(.)/g, function (match, character) {
+    return has(unescapes, character) ? unescapes[character] : character;
+  });
+}
+
+var keywordRegex = /^(msgctxt|msgid|msgid_plural|msgstr(?:\[(\d+)\])?)\s+"(.*)"$/;
+var continuationRegex = /^"(.*)"$/;
+
+// Splits a PO file into its entries, with their `flags`, their `fields` by
+// keyword and the `plurals` of their `msgstr[n]`, skipping obsolete entries.
+function parseEntries(text) {
+  var entries = [];
+  var entry = null;
+  var append = null;
+
+  var isTranslated = function () {
+    return has(entry.fields, 'msgstr') || entry.plurals.length > 0;
+  };
+  var startEntry = function () {
+    entry = { flags: [], fields: {}, plurals: [] };
+    entries.push(entry);
+    append = null;
+  };
+
+  split.call(text, /\r\n?|\n/).forEach(function (rawLine, index) {
+    var line = trim(rawLine);
+    var keyword = keywordRegex.exec(line);
+    var continuation = continuationRegex.exec(line);
+
+    if (line === '' || line.slice(0, 2) === '#~') {
+      return;
+    }
+    if (line.charAt(0) === '#') {
+      if (!entry || isTranslated()) {
+        startEntry();
+      }
+      if (line.slice(0, 2) === '#,') {
+        entry.flags = entry.flags.concat(split.call(line.slice(2), ',').map(trim));
+      }
+    } else if (keyword) {
+      var isStart = keyword[1] === 'msgctxt' || keyword[1] === 'msgid';
+      if (!entry || (isStart && isTranslated())) {
+        startEntry();
+      }
+      var target = keyword[2] === undefined ? entry.fields : entry.plurals;
+      var name = keyword[2] === undefined ? keyword[1] : Number(keyword[2]);
+      target[name] = unquote(keyword[3]);
+      append = function (more) { target[name] += more; };
+    } else if (continuation && append) {
+      append(unquote(continuation[1]));
+    } else {
+      var error = new SyntaxError('Malformed PO file at line ' + (index + 1) + ': ' + rawLine);
+      error.line = index + 1;
+      throw error;
+    }
+  });
+  return entries;
+}
+
+// ### fromPO(text[, options])
+//
+// Converts a PO file into flat phrases, which `extend` accepts. The key of
+// each phrase is the `msgctxt` of its entry, or its `msgid` if it has none,
+// and the `msgstr[n]` variants of plural entries are joined with `||||`.
+// Untranslated entries are left out, and so are fuzzy ones, unless the
+// `fuzzy` option is `true`. Throws a `SyntaxError` for malformed files,
+// with the `line` of the problem.
+function fromPO(text, options) {
+  var opts = options || {};
+  var phrases = {};
+  parseEntries(text).forEach(function (entry) {
+    var fields = entry.fields;
+    var isHeader = fields.msgid === '' && !has(fields, 'msgctxt');
+    var isFuzzy = entry.flags.indexOf('fuzzy') !== -1;
+    if (!has(fields, 'msgid') || isHeader || (isFuzzy && !opts.fuzzy)) {
+      return;
+    }
+
+    var key = has(fields, 'msgctxt') ? fields.msgctxt : fields.msgid;
+    if (has(fields, 'msgid_plural')) {
+      var variants = entry.plurals.filter(function (variant) { return variant !== undefined; });
+      if (variants.some(function (variant) { return variant !== ''; })) {
+        phrases[key] = variants.join(' ' + syntax.delimiter + ' ');
+      }
+    } else if (fields.msgstr) {
+      phrases[key] = fields.msgstr;
+    }
+  });
+  return phrases;
+}
+
+module.exports = {
+  toPO: toPO,
+  toPOT: toPOT,
+  fromPO: fromPO
+};
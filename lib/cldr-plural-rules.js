@@ -0,0 +1,358 @@
+// CLDR cardinal plural rules, used to select a plural category when
+// `Intl.PluralRules` is not available or does not support a locale.
+//
+// Generated by hand from the CLDR 47 `plurals.json` supplemental data:
+// http://unicode.org/reports/tr35/tr35-numbers.html#Language_Plural_Rules
+//
+// Every rule takes the CLDR operands of a number (`n`, `i`, `v`, `w`, `f`
+// and `t`) and returns the name of its plural category. Languages that share
+// the same rules are grouped under the same plural type, like in
+// `pluralTypeToLanguages` of the default pluralization rules.
+
+'use strict';
+
+// Whether `value` is an integer between `low` and `high`. CLDR ranges only
+// ever match integers: `n = 0..1` does not match `0.5`.
+function inRange(value, low, high) {
+  return value % 1 === 0 && value >= low && value <= high;
+}
+
+function isOneOf(value, values) {
+  return values.indexOf(value) !== -1;
+}
+
+// `e = 0 and i != 0 and i % 1000000 = 0 and v = 0`: the plural of
+// millions, as in "1 million de personnes".
+function isMillions(o) {
+  return o.i !== 0 && o.i % 1000000 === 0 && o.v === 0;
+}
+
+var pluralTypes = {
+  arabic: function (o) {
+    if (o.n === 0) { return 'zero'; }
+    if (o.n === 1) { return 'one'; }
+    if (o.n === 2) { return 'two'; }
+    if (inRange(o.n % 100, 3, 10)) { return 'few'; }
+    if (inRange(o.n % 100, 11, 99)) { return 'many'; }
+    return 'other';
+  },
+  armenian: function (o) {
+    return o.i === 0 || o.i === 1 ? 'one' : 'other';
+  },
+  belarusian: function (o) {
+    var end = o.n % 10;
+    var lastTwo = o.n % 100;
+    if (end === 1 && lastTwo !== 11) { return 'one'; }
+    if (inRange(end, 2, 4) && !inRange(lastTwo, 12, 14)) { return 'few'; }
+    if (end === 0 || inRange(end, 5, 9) || inRange(lastTwo, 11, 14)) { return 'many'; }
+    return 'other';
+  },
+  breton: function (o) {
+    var end = o.n % 10;
+    var lastTwo = o.n % 100;
+    if (end === 1 && !isOneOf(lastTwo, [11, 71, 91])) { return 'one'; }
+    if (end === 2 && !isOneOf(lastTwo, [12, 72, 92])) { return 'two'; }
+    if ((inRange(end, 3, 4) || end === 9)
+      && !inRange(lastTwo, 10, 19) && !inRange(lastTwo, 70, 79) && !inRange(lastTwo, 90, 99)) {
+      return 'few';
+    }
+    if (o.n !== 0 && o.n % 1000000 === 0) { return 'many'; }
+    return 'other';
+  },
+  chinese: function () {
+    return 'other';
+  },
+  colognian: function (o) {
+    if (o.n === 0) { return 'zero'; }
+    return o.n === 1 ? 'one' : 'other';
+  },
+  cornish: function (o) {
+    var lastTwo = o.n % 100;
+    if (o.n === 0) { return 'zero'; }
+    if (o.n === 1) { return 'one'; }
+    if (isOneOf(lastTwo, [2, 22, 42, 62, 82])
+      || (o.n % 1000 === 0
+        && (inRange(o.n % 100000, 1000, 20000) || isOneOf(o.n % 100000, [40000, 60000, 80000])))
+      || (o.n !== 0 && o.n % 1000000 === 100000)) {
+      return 'two';
+    }
+    if (isOneOf(lastTwo, [3, 23, 43, 63, 83])) { return 'few'; }
+    if (o.n !== 1 && isOneOf(lastTwo, [1, 21, 41, 61, 81])) { return 'many'; }
+    return 'other';
+  },
+  czech: function (o) {
+    if (o.i === 1 && o.v === 0) { return 'one'; }
+    if (inRange(o.i, 2, 4) && o.v === 0) { return 'few'; }
+    return o.v !== 0 ? 'many' : 'other';
+  },
+  danish: function (o) {
+    return o.n === 1 || (o.t !== 0 && (o.i === 0 || o.i === 1)) ? 'one' : 'other';
+  },
+  english: function (o) {
+    return o.i === 1 && o.v === 0 ? 'one' : 'other';
+  },
+  filipino: function (o) {
+    if (o.v === 0 && (inRange(o.i, 1, 3) || !isOneOf(o.i % 10, [4, 6, 9]))) { return 'one'; }
+    return o.v !== 0 && !isOneOf(o.f % 10, [4, 6, 9]) ? 'one' : 'other';
+  },
+  french: function (o) {
+    if (o.i === 0 || o.i === 1) { return 'one'; }
+    return isMillions(o) ? 'many' : 'other';
+  },
+  hebrew: function (o) {
+    if ((o.i === 1 && o.v === 0) || (o.i === 0 && o.v !== 0)) { return 'one'; }
+    return o.i === 2 && o.v === 0 ? 'two' : 'other';
+  },
+  hindi: function (o) {
+    return o.i === 0 || o.n === 1 ? 'one' : 'other';
+  },
+  hungarian: function (o) {
+    return o.n === 1 ? 'one' : 'other';
+  },
+  icelandic: function (o) {
+    if (o.t === 0 && o.i % 10 === 1 && o.i % 100 !== 11) { return 'one'; }
+    return o.t % 10 === 1 && o.t % 100 !== 11 ? 'one' : 'other';
+  },
+  irish: function (o) {
+    if (o.n === 1) { return 'one'; }
+    if (o.n === 2) { return 'two'; }
+    if (inRange(o.n, 3, 6)) { return 'few'; }
+    return inRange(o.n, 7, 10) ? 'many' : 'other';
+  },
+  italian: function (o) {
+    if (o.i === 1 && o.v === 0) { return 'one'; }
+    return isMillions(o) ? 'many' : 'other';
+  },
+  langi: function (o) {
+    if (o.n === 0) { return 'zero'; }
+    return (o.i === 0 || o.i === 1) ? 'one' : 'other';
+  },
+  latvian: function (o) {
+    if (o.n % 10 === 0 || inRange(o.n % 100, 11, 19) || (o.v === 2 && inRange(o.f % 100, 11, 19))) {
+      return 'zero';
+    }
+    if ((o.n % 10 === 1 && o.n % 100 !== 11)
+      || (o.v === 2 && o.f % 10 === 1 && o.f % 100 !== 11)
+      || (o.v !== 2 && o.f % 10 === 1)) {
+      return 'one';
+    }
+    return 'other';
+  },
+  lingala: function (o) {
+    return inRange(o.n, 0, 1) ? 'one' : 'other';
+  },
+  lithuanian: function (o) {
+    var end = o.n % 10;
+    var lastTwo = o.n % 100;
+    if (end === 1 && !inRange(lastTwo, 11, 19)) { return 'one'; }
+    if (inRange(end, 2, 9) && !inRange(lastTwo, 11, 19)) { return 'few'; }
+    return o.f !== 0 ? 'many' : 'other';
+  },
+  macedonian: function (o) {
+    if (o.v === 0 && o.i % 10 === 1 && o.i % 100 !== 11) { return 'one'; }
+    return o.f % 10 === 1 && o.f % 100 !== 11 ? 'one' : 'other';
+  },
+  maltese: function (o) {
+    if (o.n === 1) { return 'one'; }
+    if (o.n === 2) { return 'two'; }
+    if (o.n === 0 || inRange(o.n % 100, 3, 10)) { return 'few'; }
+    return inRange(o.n % 100, 11, 19) ? 'many' : 'other';
+  },
+  manx: function (o) {
+    if (o.v === 0 && o.i % 10 === 1) { return 'one'; }
+    if (o.v === 0 && o.i % 10 === 2) { return 'two'; }
+    if (o.v === 0 && isOneOf(o.i % 100, [0, 20, 40, 60, 80])) { return 'few'; }
+    return o.v !== 0 ? 'many' : 'other';
+  },
+  polish: function (o) {
+    var end = o.i % 10;
+    var lastTwo = o.i % 100;
+    if (o.i === 1 && o.v === 0) { return 'one'; }
+    if (o.v === 0 && inRange(end, 2, 4) && !inRange(lastTwo, 12, 14)) { return 'few'; }
+    if (o.v === 0 && (end === 0 || end === 1 || inRange(end, 5, 9) || inRange(lastTwo, 12, 14))) {
+      return 'many';
+    }
+    return 'other';
+  },
+  portuguese: function (o) {
+    if (inRange(o.i, 0, 1)) { return 'one'; }
+    return isMillions(o) ? 'many' : 'other';
+  },
+  romanian: function (o) {
+    if (o.i === 1 && o.v === 0) { return 'one'; }
+    if (o.v !== 0 || o.n === 0 || (o.n !== 1 && inRange(o.n % 100, 1, 19))) { return 'few'; }
+    return 'other';
+  },
+  russian: function (o) {
+    var end = o.i % 10;
+    var lastTwo = o.i % 100;
+    if (o.v !== 0) { return 'other'; }
+    if (end === 1 && lastTwo !== 11) { return 'one'; }
+    if (inRange(end, 2, 4) && !inRange(lastTwo, 12, 14)) { return 'few'; }
+    return 'many';
+  },
+  sami: function (o) {
+    if (o.n === 1) { return 'one'; }
+    return o.n === 2 ? 'two' : 'other';
+  },
+  scottish_gaelic: function (o) {
+    if (o.n === 1 || o.n === 11) { return 'one'; }
+    if (o.n === 2 || o.n === 12) { return 'two'; }
+    return inRange(o.n, 3, 10) || inRange(o.n, 13, 19) ? 'few' : 'other';
+  },
+  serbian: function (o) {
+    var end = o.i % 10;
+    var lastTwo = o.i % 100;
+    var fractionEnd = o.f % 10;
+    var fractionLastTwo = o.f % 100;
+    if ((o.v === 0 && end === 1 && lastTwo !== 11)
+      || (fractionEnd === 1 && fractionLastTwo !== 11)) {
+      return 'one';
+    }
+    if ((o.v === 0 && inRange(end, 2, 4) && !inRange(lastTwo, 12, 14))
+      || (inRange(fractionEnd, 2, 4) && !inRange(fractionLastTwo, 12, 14))) {
+      return 'few';
+    }
+    return 'other';
+  },
+  sinhala: function (o) {
+    return o.n === 0 || o.n === 1 || (o.i === 0 && o.f === 1) ? 'one' : 'other';
+  },
+  slovenian: function (o) {
+    var lastTwo = o.i % 100;
+    if (o.v === 0 && lastTwo === 1) { return 'one'; }
+    if (o.v === 0 && lastTwo === 2) { return 'two'; }
+    return (o.v === 0 && inRange(lastTwo, 3, 4)) || o.v !== 0 ? 'few' : 'other';
+  },
+  sorbian: function (o) {
+    var lastTwo = o.i % 100;
+    var fractionLastTwo = o.f % 100;
+    if ((o.v === 0 && lastTwo === 1) || fractionLastTwo === 1) { return 'one'; }
+    if ((o.v === 0 && lastTwo === 2) || fractionLastTwo === 2) { return 'two'; }
+    if ((o.v === 0 && inRange(lastTwo, 3, 4)) || inRange(fractionLastTwo, 3, 4)) { return 'few'; }
+    return 'other';
+  },
+  spanish: function (o) {
+    if (o.n === 1) { return 'one'; }
+    return isMillions(o) ? 'many' : 'other';
+  },
+  tachelhit: function (o) {
+    if (o.i === 0 || o.n === 1) { return 'one'; }
+    return inRange(o.n, 2, 10) ? 'few' : 'other';
+  },
+  tamazight: function (o) {
+    return inRange(o.n, 0, 1) || inRange(o.n, 11, 99) ? 'one' : 'other';
+  },
+  welsh: function (o) {
+    if (o.n === 0) { return 'zero'; }
+    if (o.n === 1) { return 'one'; }
+    if (o.n === 2) { return 'two'; }
+    if (o.n === 3) { return 'few'; }
+    return o.n === 6 ? 'many' : 'other';
+  }
+};
+
+// The plural categories each plural type can select, in the CLDR order.
+var pluralTypeCategories = {
+  arabic: ['zero', 'one', 'two', 'few', 'many', 'other'],
+  armenian: ['one', 'other'],
+  belarusian: ['one', 'few', 'many', 'other'],
+  breton: ['one', 'two', 'few', 'many', 'other'],
+  chinese: ['other'],
+  colognian: ['zero', 'one', 'other'],
+  cornish: ['zero', 'one', 'two', 'few', 'many', 'other'],
+  czech: ['one', 'few', 'many', 'other'],
+  danish: ['one', 'other'],
+  english: ['one', 'other'],
+  filipino: ['one', 'other'],
+  french: ['one', 'many', 'other'],
+  hebrew: ['one', 'two', 'other'],
+  hindi: ['one', 'other'],
+  hungarian: ['one', 'other'],
+  icelandic: ['one', 'other'],
+  irish: ['one', 'two', 'few', 'many', 'other'],
+  italian: ['one', 'many', 'other'],
+  langi: ['zero', 'one', 'other'],
+  latvian: ['zero', 'one', 'other'],
+  lingala: ['one', 'other'],
+  lithuanian: ['one', 'few', 'many', 'other'],
+  macedonian: ['one', 'other'],
+  maltese: ['one', 'two', 'few', 'many', 'other'],
+  manx: ['one', 'two', 'few', 'many', 'other'],
+  polish: ['one', 'few', 'many', 'other'],
+  portuguese: ['one', 'many', 'other'],
+  romanian: ['one', 'few', 'other'],
+  russian: ['one', 'few', 'many', 'other'],
+  sami: ['one', 'two', 'other'],
+  scottish_gaelic: ['one', 'two', 'few', 'other'],
+  serbian: ['one', 'few', 'other'],
+  sinhala: ['one', 'other'],
+  slovenian: ['one', 'two', 'few', 'other'],
+  sorbian: ['one', 'two', 'few', 'other'],
+  spanish: ['one', 'many', 'other'],
+  tachelhit: ['one', 'few', 'other'],
+  tamazight: ['one', 'other'],
+  welsh: ['zero', 'one', 'two', 'few', 'many', 'other']
+};
+
+var pluralTypeToLanguages = {
+  arabic: ['ar', 'ars'],
+  armenian: ['ff', 'hy', 'kab'],
+  belarusian: ['be'],
+  breton: ['br'],
+  chinese: [
+    'bm', 'bo', 'dz', 'hnj', 'id', 'ig', 'ii', 'ja', 'jbo', 'jv', 'jw', 'kde', 'kea', 'km', 'ko',
+    'lkt', 'lo', 'ms', 'my', 'nqo', 'osa', 'sah', 'ses', 'sg', 'su', 'th', 'to', 'tpi', 'und',
+    'vi', 'wo', 'yo', 'yue', 'zh'
+  ],
+  colognian: ['blo', 'ksh'],
+  cornish: ['kw'],
+  czech: ['cs', 'sk'],
+  danish: ['da'],
+  english: [
+    'ast', 'de', 'en', 'et', 'fi', 'fy', 'gl', 'ia', 'io', 'lij', 'nl', 'sc', 'sv', 'sw', 'ur', 'yi'
+  ],
+  filipino: ['ceb', 'fil', 'tl'],
+  french: ['fr'],
+  hebrew: ['he'],
+  hindi: ['am', 'as', 'bn', 'doi', 'fa', 'gu', 'hi', 'kn', 'pcm', 'zu'],
+  hungarian: [
+    'af', 'an', 'asa', 'az', 'bal', 'bem', 'bez', 'bg', 'brx', 'ce', 'cgg', 'chr', 'ckb', 'dv',
+    'ee', 'el', 'eo', 'eu', 'fo', 'fur', 'gsw', 'ha', 'haw', 'hu', 'jgo', 'jmc', 'ka', 'kaj',
+    'kcg', 'kk', 'kkj', 'kl', 'ks', 'ksb', 'ku', 'ky', 'lb', 'lg', 'mas', 'mgo', 'ml', 'mn', 'mr',
+    'nah', 'nb', 'nd', 'ne', 'nn', 'nnh', 'no', 'nr', 'ny', 'nyn', 'om', 'or', 'os', 'pap', 'ps',
+    'rm', 'rof', 'rwk', 'saq', 'sd', 'sdh', 'seh', 'sn', 'so', 'sq', 'ss', 'ssy', 'st', 'syr',
+    'ta', 'te', 'teo', 'tig', 'tk', 'tn', 'tr', 'ts', 'ug', 'uz', 've', 'vo', 'vun', 'wae', 'xh',
+    'xog'
+  ],
+  icelandic: ['is'],
+  irish: ['ga'],
+  italian: ['ca', 'it', 'lld', 'pt-PT', 'scn', 'vec'],
+  langi: ['lag'],
+  latvian: ['lv', 'prg'],
+  lingala: ['ak', 'bho', 'csw', 'guw', 'ln', 'mg', 'nso', 'pa', 'ti', 'wa'],
+  lithuanian: ['lt'],
+  macedonian: ['mk'],
+  maltese: ['mt'],
+  manx: ['gv'],
+  polish: ['pl'],
+  portuguese: ['pt'],
+  romanian: ['mo', 'ro'],
+  russian: ['ru', 'uk'],
+  sami: ['iu', 'naq', 'sat', 'se', 'sma', 'smi', 'smj', 'smn', 'sms'],
+  scottish_gaelic: ['gd'],
+  serbian: ['bs', 'hr', 'sh', 'sr'],
+  sinhala: ['si'],
+  slovenian: ['sl'],
+  sorbian: ['dsb', 'hsb'],
+  spanish: ['es'],
+  tachelhit: ['shi'],
+  tamazight: ['tzm'],
+  welsh: ['cy']
+};
+
+module.exports = {
+  pluralTypes: pluralTypes,
+  pluralTypeCategories: pluralTypeCategories,
+  pluralTypeToLanguages: pluralTypeToLanguages
+};
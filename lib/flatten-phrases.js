@@ -0,0 +1,30 @@
+// Flattens a nested phrases object into the dot-notation keys that `extend`
+// gives its phrases, for `extend` and `unset` as well as the tools that read
+// phrases objects. `null` is a phrase like any other value that is not an
+// object.
+//
+//     flattenPhrases({nav: {home: 'Home'}, bye: 'Bye'});
+//     // [['nav.home', 'Home'], ['bye', 'Bye']]
+
+'use strict';
+
+var objectEntries = require('object.entries');
+
+// ### flattenPhrases(phrases)
+//
+// Returns the `[key, phrase]` entries of a phrases object, nested or flat,
+// in the order of the object.
+function flattenPhrases(phrases, prefix, result) {
+  var flat = result || [];
+  objectEntries(phrases || {}).forEach(function (entry) {
+    var key = prefix ? prefix + '.' + entry[0] : entry[0];
+    if (entry[1] !== null && typeof entry[1] === 'object') {
+      flattenPhrases(entry[1], key, flat);
+    } else {
+      flat.push([key, entry[1]]);
+    }
+  });
+  return flat;
+}
+
+module.exports = flattenPhrases;
@@ -0,0 +1,21 @@
+// Returns the character of a Unicode code point, as a surrogate pair for
+// code points above U+FFFF, like `String.fromCodePoint` does where it
+// exists. Used to decode the escapes of string literals and XML character
+// references.
+//
+//     fromCodePoint(0x1F600);
+//     // '😀'
+
+'use strict';
+
+function fromCodePoint(codePoint) {
+  if (codePoint > 0xFFFF) {
+    return String.fromCharCode(
+      Math.floor((codePoint - 0x10000) / 0x400) + 0xD800,
+      ((codePoint - 0x10000) % 0x400) + 0xDC00
+    );
+  }
+  return String.fromCharCode(codePoint);
+}
+
+module.exports = fromCodePoint;
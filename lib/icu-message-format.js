@@ -0,0 +1,232 @@
+// Parser for ICU MessageFormat messages, used by the `messageFormat: 'icu'`
+// mode of Polyglot.
+//
+//     parse('{count, plural, one {# car} other {# cars}}');
+//     // [{
+//     //   type: 'plural',
+//     //   name: 'count',
+//     //   offset: 0,
+//     //   options: {one: [{type: 'pound'}, ' car'], other: [{type: 'pound'}, ' cars']}
+//     // }]
+//
+// A parsed message is an array of nodes: plain strings for literal text, and
+// objects for the `{...}` arguments:
+//
+//  - `{type: 'argument', name, format, style}` for simple arguments, such as
+//    `{name}` or `{price, number, integer}`;
+//  - `{type: 'plural' | 'selectordinal', name, offset, options}` for plural
+//    and ordinal selection, whose options map selectors such as `one` or
+//    `=0` to parsed messages;
+//  - `{type: 'select', name, options}` for selection by value;
+//  - `{type: 'pound'}` for `#`, which stands for the count of the
+//    enclosing plural.
+//
+// Apostrophes quote special characters, as in ICU4J: `'{'` is a literal
+// brace and `''` a literal apostrophe.
+//
+// See http://userguide.icu-project.org/formatparse/messages
+
+'use strict';
+
+var trim = require('string.prototype.trim');
+
+var nameRegex = /^[^\s,{}#']+/;
+var selectorRegex = /^(=-?\d+(\.\d+)?|[^\s,{}#'=]+)/;
+var offsetRegex = /^offset:\s*(\d+)/;
+
+var pluralTypes = ['plural', 'selectordinal'];
+
+// Keeps track of the position of the parser in the message.
+function Parser(message) {
+  this.message = message;
+  this.index = 0;
+}
+
+Parser.prototype.error = function (description) {
+  var error = new SyntaxError(description + ' at position ' + this.index + ' of "' + this.message + '"');
+  error.position = this.index;
+  return error;
+};
+
+Parser.prototype.peek = function (offset) {
+  return this.message.charAt(this.index + (offset || 0));
+};
+
+Parser.prototype.isDone = function () {
+  return this.index >= this.message.length;
+};
+
+Parser.prototype.skipWhitespace = function () {
+  while (!this.isDone() && /\s/.test(this.peek())) {
+    this.index += 1;
+  }
+};
+
+Parser.prototype.read = function (regex, description) {
+  var match = regex.exec(this.message.slice(this.index));
+  if (!match) {
+    throw this.error('Expected ' + description);
+  }
+  this.index += match[0].length;
+  return match[0];
+};
+
+Parser.prototype.expect = function (character) {
+  if (this.peek() !== character) {
+    throw this.error('Expected "' + character + '"');
+  }
+  this.index += 1;
+};
+
+// Reads a quoted literal, starting at its opening apostrophe, and returns
+// its text. An unterminated quote runs to the end of the message.
+Parser.prototype.readQuoted = function () {
+  var text = '';
+  this.index += 1;
+  while (!this.isDone()) {
+    var character = this.peek();
+    if (character === '\'') {
+      if (this.peek(1) !== '\'') {
+        this.index += 1;
+        return text;
+      }
+      this.index += 1;
+    }
+    text += character;
+    this.index += 1;
+  }
+  return text;
+};
+
+// Reads the style of a formatted argument, such as `short` in
+// `{when, date, short}`, up to its closing brace.
+Parser.prototype.readStyle = function () {
+  var start = this.index;
+  var depth = 0;
+  while (!this.isDone()) {
+    var character = this.peek();
+    if (character === '{') {
+      depth += 1;
+    } else if (character === '}') {
+      if (depth === 0) {
+        return trim(this.message.slice(start, this.index));
+      }
+      depth -= 1;
+    }
+    this.index += 1;
+  }
+  throw this.error('Expected "}"');
+};
+
+// Parses a message up to the end of the string or a closing brace, which it
+// leaves for the caller. `#` is only special in the options of a plural.
+Parser.prototype.parseMessage = function (inPlural) {
+  var nodes = [];
+  var text = '';
+  var pushText = function () {
+    if (text) {
+      nodes.push(text);
+      text = '';
+    }
+  };
+
+  while (!this.isDone() && this.peek() !== '}') {
+    var character = this.peek();
+    var next = this.peek(1);
+    if (character === '\'' && next === '\'') {
+      text += '\'';
+      this.index += 2;
+    } else if (character === '\'' && (next === '{' || next === '}' || (inPlural && next === '#'))) {
+      text += this.readQuoted();
+    } else if (character === '{') {
+      pushText();
+      nodes.push(this.parseArgument(inPlural));
+    } else if (character === '#' && inPlural) {
+      pushText();
+      nodes.push({ type: 'pound' });
+      this.index += 1;
+    } else {
+      text += character;
+      this.index += 1;
+    }
+  }
+
+  pushText();
+  return nodes;
+};
+
+Parser.prototype.parseArgument = function (inPlural) {
+  var argument = { type: 'argument' };
+  this.index += 1;
+  this.skipWhitespace();
+  argument.name = this.read(nameRegex, 'an argument name');
+  this.skipWhitespace();
+  if (this.peek() === '}') {
+    this.index += 1;
+    return argument;
+  }
+
+  this.expect(',');
+  this.skipWhitespace();
+  var format = this.read(nameRegex, 'an argument type');
+  this.skipWhitespace();
+
+  if (format === 'select' || pluralTypes.indexOf(format) !== -1) {
+    this.expect(',');
+    this.skipWhitespace();
+    argument.type = format;
+    if (format !== 'select') {
+      var offset = offsetRegex.exec(this.message.slice(this.index));
+      argument.offset = offset ? Number(offset[1]) : 0;
+      this.index += offset ? offset[0].length : 0;
+    }
+    argument.options = this.parseOptions(argument, inPlural || format !== 'select');
+    return argument;
+  }
+
+  argument.format = format;
+  if (this.peek() === ',') {
+    this.index += 1;
+    argument.style = this.readStyle();
+  }
+  this.expect('}');
+  return argument;
+};
+
+Parser.prototype.parseOptions = function (argument, inPlural) {
+  var options = {};
+  this.skipWhitespace();
+  while (this.peek() !== '}') {
+    if (this.isDone()) {
+      throw this.error('Expected "}"');
+    }
+    var selector = this.read(selectorRegex, 'a selector');
+    this.skipWhitespace();
+    this.expect('{');
+    options[selector] = this.parseMessage(inPlural);
+    this.expect('}');
+    this.skipWhitespace();
+  }
+  if (!options.other) {
+    throw this.error('Expected an "other" option for "' + argument.name + '"');
+  }
+  this.index += 1;
+  return options;
+};
+
+// ### parse(message)
+//
+// Parses an ICU MessageFormat message into an array of nodes. Throws a
+// `SyntaxError` with the `position` of the problem for malformed messages.
+function parse(message) {
+  var parser = new Parser(message);
+  var nodes = parser.parseMessage(false);
+  if (!parser.isDone()) {
+    throw parser.error('Unexpected "}"');
+  }
+  return nodes;
+}
+
+module.exports = {
+  parse: parse
+};
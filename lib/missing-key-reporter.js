@@ -0,0 +1,156 @@
+// Collects the keys that instances created with the `reportMissingKeys`
+// option are missing, once per locale and key, and sends them in batches
+// to a transport, so that untranslated phrases can be tracked in production
+// without a report for every call.
+//
+//     var reporter = new MissingKeyReporter({
+//       transport: function (entries) {
+//         navigator.sendBeacon('/missing', JSON.stringify(entries));
+//       }
+//     }, warn);
+//     reporter.record({key: 'checkout.pay', locale: 'de', options: {total: 5}});
+//     reporter.report();
+//     // [{
+//     //   locale: 'de',
+//     //   key: 'checkout.pay',
+//     //   substitutions: ['total'],
+//     //   firstSeen: 1545321600000,
+//     //   count: 1
+//     // }]
+
+'use strict';
+
+var has = require('has');
+
+// Names of the options of `t` that are not substitutions.
+var reservedOptions = ['_', 'context', 'escape', 'isolate'];
+
+// Returns the names of the substitutions that a missing key was translated
+// with.
+function substitutionNames(options) {
+  if (typeof options === 'number') {
+    return ['smart_count'];
+  }
+  if (options === null || typeof options !== 'object') {
+    return [];
+  }
+  return Object.keys(options).filter(function (name) {
+    return reservedOptions.indexOf(name) === -1;
+  });
+}
+
+function copyEntry(entry) {
+  return {
+    locale: entry.locale,
+    key: entry.key,
+    substitutions: entry.substitutions.slice(),
+    firstSeen: entry.firstSeen,
+    count: entry.count
+  };
+}
+
+// ### new MissingKeyReporter(options, warn)
+//
+// The options are:
+//
+//  - `transport`: a function that is called with each batch of entries, and
+//    can return a promise. Without one, entries are only collected for
+//    `report`;
+//  - `batchSize`: how many new entries make a batch, 20 by default;
+//  - `flushInterval`: how many milliseconds new entries wait at most before
+//    they are sent, 10 seconds by default.
+//
+// `warn` is called when a transport fails.
+function MissingKeyReporter(options, warn) {
+  var opts = options || {};
+  this.transport = typeof opts.transport === 'function' ? opts.transport : null;
+  this.batchSize = opts.batchSize || 20;
+  this.flushInterval = opts.flushInterval || 10000;
+  this.warn = warn;
+  this.entries = {};
+  this.order = [];
+  this.pending = [];
+  this.timer = null;
+}
+
+// Records a `missingKey` event: adds an entry for its locale and key, or
+// adds the names of its substitutions to the existing entry and counts it.
+MissingKeyReporter.prototype.record = function (event) {
+  var id = event.locale + '\n' + event.key;
+  var names = substitutionNames(event.options);
+  if (has(this.entries, id)) {
+    var entry = this.entries[id];
+    entry.count += 1;
+    names.forEach(function (name) {
+      if (entry.substitutions.indexOf(name) === -1) {
+        entry.substitutions.push(name);
+      }
+    });
+    return;
+  }
+
+  this.entries[id] = {
+    locale: event.locale,
+    key: event.key,
+    substitutions: names,
+    firstSeen: Date.now(),
+    count: 1
+  };
+  this.order.push(id);
+  if (this.transport) {
+    this.pending.push(id);
+    if (this.pending.length >= this.batchSize) {
+      this.flush();
+    } else if (!this.timer) {
+      this.schedule();
+    }
+  }
+};
+
+// Flushes the pending entries after the flush interval, without keeping
+// Node.js processes running for it.
+MissingKeyReporter.prototype.schedule = function () {
+  var reporter = this;
+  this.timer = setTimeout(function () {
+    reporter.timer = null;
+    reporter.flush();
+  }, this.flushInterval);
+  if (this.timer && typeof this.timer.unref === 'function') {
+    this.timer.unref();
+  }
+};
+
+// Sends the entries that are not sent yet to the transport. Entries are sent
+// once, as they are when they are sent.
+MissingKeyReporter.prototype.flush = function () {
+  if (this.timer) {
+    clearTimeout(this.timer);
+    this.timer = null;
+  }
+  if (!this.transport || this.pending.length === 0) {
+    return;
+  }
+  var entries = this.entries;
+  var batch = this.pending.map(function (id) { return copyEntry(entries[id]); });
+  var warn = this.warn;
+  var fail = function (error) {
+    warn('Could not report missing keys: ' + (error && error.message ? error.message : error));
+  };
+  this.pending = [];
+  try {
+    var result = this.transport(batch);
+    if (result && typeof result.then === 'function') {
+      result.then(null, fail);
+    }
+  } catch (e) {
+    fail(e);
+  }
+};
+
+// Returns a copy of every entry, in the order the keys went missing.
+MissingKeyReporter.prototype.report = function () {
+  var entries = this.entries;
+  return this.order.map(function (id) { return copyEntry(entries[id]); });
+};
+
+module.exports = MissingKeyReporter;
@@ -0,0 +1,110 @@
+// Parser for Polyglot phrases, used to compile them into render functions.
+//
+//     parse('[=0] No cars |||| [other] %{smart_count} cars');
+//     // {
+//     //   segments: ['[=0] No cars |||| [other] ', {expression: '%{smart_count}', ...}, ' cars'],
+//     //   variants: [
+//     //     {conditions: ['=0'], segments: ['No cars']},
+//     //     {conditions: ['other'], segments: [{expression: '%{smart_count}', ...}, ' cars']}
+//     //   ]
+//     // }
+//
+// A parsed phrase holds the `segments` of its whole text, used when no
+// variant needs to be chosen, and its `variants`, separated by `||||`, with
+// their label `conditions` (or `null`) and `segments`. Segments are literal
+// strings and placeholders: `{expression, argument, name, format, style}`,
+// where `argument` is all that's between the placeholder's delimiters, and
+// the `format` and `style` are only there if the placeholder names them.
+
+'use strict';
+
+var trim = require('string.prototype.trim');
+var syntax = require('./syntax');
+
+var replace = String.prototype.replace;
+var split = String.prototype.split;
+
+// Phrase variants can be labeled with the conditions they are meant for:
+// a plural category or an exact count, as in
+// `[=0] No cars |||| [one] 1 car |||| [other] %{smart_count} cars`, and the
+// value of any substitution, as in `[gender:female] She |||| [gender:other] They`.
+// A label can combine several conditions: `[gender:female one]`.
+var variantConditionPattern = '(?:zero|one|two|few|many|other|=-?\\d+(?:\\.\\d+)?|[\\w.-]+:[^\\s\\]]+)';
+var variantLabelRegex = new RegExp('^\\[\\s*((?:' + variantConditionPattern + '\\s*)+)\\]\\s*');
+
+// Splits the label off a variant, and trims it.
+function parseVariant(text) {
+  var variant = trim(text);
+  var label = variantLabelRegex.exec(variant);
+  return {
+    conditions: label ? split.call(trim(label[1]), /\s+/) : null,
+    text: label ? variant.slice(label[0].length) : variant
+  };
+}
+
+// Splits the argument of a placeholder such as `%{price, currency, EUR}`
+// into its name, format and style.
+function parsePlaceholder(argument) {
+  var separator = argument.indexOf(',');
+  if (separator === -1) {
+    return { name: argument };
+  }
+  var rest = argument.slice(separator + 1);
+  var styleSeparator = rest.indexOf(',');
+  return {
+    name: trim(argument.slice(0, separator)),
+    format: trim(styleSeparator === -1 ? rest : rest.slice(0, styleSeparator)),
+    style: styleSeparator === -1 ? undefined : trim(rest.slice(styleSeparator + 1))
+  };
+}
+
+// Splits `text` at its placeholders into literal strings and placeholders.
+function parseText(text, tokenRegex) {
+  var segments = [];
+  var lastIndex = 0;
+  replace.call(text, tokenRegex, function (expression, argument, offset) {
+    if (offset > lastIndex) {
+      segments.push(text.slice(lastIndex, offset));
+    }
+    var placeholder = parsePlaceholder(argument);
+    var segment = { expression: expression, argument: argument, name: placeholder.name };
+    if (placeholder.format) {
+      segment.format = placeholder.format;
+    }
+    if (placeholder.style) {
+      segment.style = placeholder.style;
+    }
+    segments.push(segment);
+    lastIndex = offset + expression.length;
+    return expression;
+  });
+  if (lastIndex < text.length) {
+    segments.push(text.slice(lastIndex));
+  }
+  return segments;
+}
+
+// ### parse(phrase[, tokenRegex])
+//
+// Parses a Polyglot phrase, with placeholders matched by `tokenRegex`, which
+// defaults to the `%{name}` syntax. Phrases that are their only variant
+// leave `variants` out.
+function parse(phrase, tokenRegex) {
+  var interpolationRegex = tokenRegex || syntax.defaultTokenRegex;
+  var parsed = { segments: parseText(phrase, interpolationRegex) };
+  var variants = split.call(phrase, syntax.delimiter).map(parseVariant);
+  if (variants.length > 1 || variants[0].conditions || variants[0].text !== phrase) {
+    parsed.variants = variants.map(function (variant) {
+      return {
+        conditions: variant.conditions,
+        segments: parseText(variant.text, interpolationRegex)
+      };
+    });
+  }
+  return parsed;
+}
+
+module.exports = {
+  parse: parse,
+  parseVariant: parseVariant
+};
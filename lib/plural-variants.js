@@ -0,0 +1,27 @@
+// Returns the variants of a phrase, if it has several and they are chosen
+// by position, or `null`, for the formats that list plural variants by
+// index, such as gettext's `msgstr[n]` and XLIFF plural groups.
+//
+//     pluralVariants('%{smart_count} car |||| %{smart_count} cars');
+//     // ['%{smart_count} car', '%{smart_count} cars']
+
+'use strict';
+
+var syntax = require('./syntax');
+var phraseParser = require('./phrase-parser');
+
+var split = String.prototype.split;
+
+function pluralVariants(phrase) {
+  if (typeof phrase !== 'string') {
+    return null;
+  }
+  var variants = split.call(phrase, syntax.delimiter).map(phraseParser.parseVariant);
+  var isLabeled = variants.some(function (variant) { return variant.conditions !== null; });
+  if (variants.length < 2 || isLabeled) {
+    return null;
+  }
+  return variants.map(function (variant) { return variant.text; });
+}
+
+module.exports = pluralVariants;
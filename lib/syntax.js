@@ -0,0 +1,50 @@
+// The delimiters of the Polyglot phrase syntax, shared by the runtime and
+// the phrase parser, the syntax of references to other keys, and the
+// separator of the keys of phrases for a context.
+
+'use strict';
+
+// The string that separates the different phrase possibilities.
+var delimiter = '||||';
+
+function escape(token) {
+  return token.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Returns the `prefix` and `suffix` of placeholders, from the
+// `interpolation` option.
+function tokenAffixes(opts) {
+  var prefix = (opts && opts.prefix) || '%{';
+  var suffix = (opts && opts.suffix) || '}';
+
+  if (prefix === delimiter || suffix === delimiter) {
+    throw new RangeError('"' + delimiter + '" token is reserved for pluralization');
+  }
+
+  return { prefix: prefix, suffix: suffix };
+}
+
+// Builds the `RegExp` that matches placeholders, from the `prefix` and
+// `suffix` of the `interpolation` option.
+function constructTokenRegex(opts) {
+  var affixes = tokenAffixes(opts);
+  return new RegExp(escape(affixes.prefix) + '(.*?)' + escape(affixes.suffix), 'g');
+}
+
+var defaultTokenRegex = /%\{(.*?)\}/g;
+
+// Matches the references to other keys in phrases, such as `$t(brand.name)`.
+var referenceRegex = /\$t\(\s*([^()\s]+)\s*\)/g;
+
+// Phrases for a context are stored under their key with the context
+// appended, such as `post@verb`.
+var contextSeparator = '@';
+
+module.exports = {
+  delimiter: delimiter,
+  tokenAffixes: tokenAffixes,
+  constructTokenRegex: constructTokenRegex,
+  defaultTokenRegex: defaultTokenRegex,
+  referenceRegex: referenceRegex,
+  contextSeparator: contextSeparator
+};
@@ -0,0 +1,369 @@
+// Validator for phrases, used by `Polyglot.validate` to report the problems
+// that translating them would otherwise hide, and by `Polyglot.compare` to
+// report how translations differ from their source phrases.
+//
+//     validate({cars: '%{smart_count} car |||| %{smart_count cars'}, {variantCount: 2});
+//     // [{
+//     //   key: 'cars',
+//     //   problem: 'unclosed-placeholder',
+//     //   position: 24,
+//     //   message: 'The placeholder at 24 is not closed with "}"'
+//     // }]
+//
+// Each diagnostic names the `key` of the phrase, the `problem`, the
+// `position` of the problem in the phrase, and a `message` describing it.
+// The problems are:
+//
+//  - `invalid-phrase`: the phrase is not a string;
+//  - `malformed-message`: the ICU message can't be parsed;
+//  - `unclosed-placeholder`: a placeholder prefix has no matching suffix;
+//  - `empty-placeholder`: a placeholder has no name;
+//  - `stray-delimiter`: there are extra `|` next to a `||||` delimiter;
+//  - `empty-variant`: a variant has no text;
+//  - `plural-count`: the number of unlabeled variants doesn't match the
+//    plural forms of the locale;
+//  - `unused-category`: a variant is labeled with a plural category that
+//    the locale doesn't use;
+//  - `malformed-label`: a variant starts with something like a label, next
+//    to labeled variants;
+//  - `missing-other`: no labeled variant matches when the others don't;
+//  - `dangling-reference`: a `$t(key)` reference is to a key that the
+//    phrases don't have.
+
+'use strict';
+
+var objectEntries = require('object.entries');
+var has = require('has');
+var trim = require('string.prototype.trim');
+var syntax = require('./syntax');
+var flattenPhrases = require('./flatten-phrases');
+var phraseParser = require('./phrase-parser');
+var icuMessageFormat = require('./icu-message-format');
+
+var replace = String.prototype.replace;
+var split = String.prototype.split;
+
+var pluralCategoryRegex = /^(zero|one|two|few|many|other)$/;
+
+function diagnostic(key, problem, position, message) {
+  return {
+    key: key,
+    problem: problem,
+    position: position,
+    message: message
+  };
+}
+
+// Checks the placeholders of the variant `text`, found at `offset` in the
+// phrase.
+function checkPlaceholders(text, offset, context, report) {
+  var prefix = context.affixes.prefix;
+  var suffix = context.affixes.suffix;
+  var unclosed = function (position) {
+    report('unclosed-placeholder', position, 'The placeholder at ' + position + ' is not closed with "' + suffix + '"');
+  };
+  var checkGap = function (start, end) {
+    var index = text.slice(start, end).indexOf(prefix);
+    if (index !== -1) {
+      unclosed(offset + start + index);
+    }
+  };
+
+  var lastIndex = 0;
+  replace.call(text, context.tokenRegex, function (expression, argument, index) {
+    checkGap(lastIndex, index);
+    if (argument.indexOf(prefix) !== -1) {
+      unclosed(offset + index);
+    } else if (trim(split.call(argument, ',')[0]) === '') {
+      report('empty-placeholder', offset + index, 'The placeholder at ' + (offset + index) + ' has no name');
+    }
+    lastIndex = index + expression.length;
+    return expression;
+  });
+  checkGap(lastIndex, text.length);
+}
+
+// Checks the labels of the variants of a phrase, when any of them has one.
+function checkLabels(variants, context, report) {
+  var hasFallback = false;
+  variants.forEach(function (variant) {
+    if (!variant.conditions) {
+      hasFallback = true;
+      if (variant.text.charAt(0) === '[') {
+        report('malformed-label', variant.position, 'The label of the variant at ' + variant.position + ' is malformed');
+      }
+      return;
+    }
+    var isOther = variant.conditions.every(function (condition) {
+      return condition === 'other' || condition.slice(-':other'.length) === ':other';
+    });
+    hasFallback = hasFallback || isOther;
+    variant.conditions.forEach(function (condition) {
+      var isUnused = pluralCategoryRegex.test(condition)
+        && context.pluralCategories.indexOf(condition) === -1;
+      if (isUnused) {
+        report('unused-category', variant.position, 'The plural category "' + condition + '" is not used by the locale');
+      }
+    });
+  });
+  if (!hasFallback) {
+    report('missing-other', 0, 'No variant is labeled "other" or left unlabeled');
+  }
+}
+
+// Checks a Polyglot phrase.
+function checkPhrase(phrase, context, report) {
+  var variants = [];
+  var offset = 0;
+  split.call(phrase, syntax.delimiter).forEach(function (text, index, texts) {
+    var start = offset + text.search(/\S|$/);
+    var variant = phraseParser.parseVariant(text);
+    variant.position = start;
+    variants.push(variant);
+
+    var trimmed = trim(text);
+    if (texts.length > 1) {
+      if (trimmed === '') {
+        report('empty-variant', offset, 'The variant at ' + offset + ' is empty');
+      } else if (trimmed.charAt(0) === '|') {
+        report('stray-delimiter', start, 'There is a stray "|" at ' + start);
+      } else if (trimmed.charAt(trimmed.length - 1) === '|') {
+        var end = start + trimmed.length - 1;
+        report('stray-delimiter', end, 'There is a stray "|" at ' + end);
+      }
+    }
+    checkPlaceholders(text, offset, context, report);
+    offset += text.length + syntax.delimiter.length;
+  });
+
+  var isLabeled = variants.some(function (variant) { return variant.conditions !== null; });
+  if (isLabeled) {
+    checkLabels(variants, context, report);
+  } else if (variants.length > 1 && variants.length !== context.variantCount) {
+    report(
+      'plural-count',
+      0,
+      'Expected ' + context.variantCount + ' plural variants for the locale, found ' + variants.length
+    );
+  }
+}
+
+// Checks that the `$t(key)` references of a phrase are to keys of the
+// phrases.
+function checkReferences(phrase, context, report) {
+  replace.call(phrase, syntax.referenceRegex, function (reference, key, offset) {
+    if (!has(context.keys, key)) {
+      report('dangling-reference', offset, 'The reference at ' + offset + ' is to the key "' + key + '", which is not defined');
+    }
+    return reference;
+  });
+}
+
+// Checks an ICU message.
+function checkMessage(message, context, report) {
+  try {
+    icuMessageFormat.parse(message);
+  } catch (e) {
+    if (!(e instanceof SyntaxError)) {
+      throw e;
+    }
+    report('malformed-message', e.position, e.message);
+  }
+}
+
+// ### validate(phrases, options)
+//
+// Validates a phrases object, nested or flat, and returns its diagnostics,
+// ordered by key and position. The options are the `messageFormat` and
+// `interpolation` of the phrases, as for `new Polyglot`, the `variantCount`
+// that phrases with plural forms should have, and the `pluralCategories`
+// of the locale. Phrases that are already compiled are skipped.
+function validate(phrases, options) {
+  var opts = options || {};
+  var context = {
+    affixes: syntax.tokenAffixes(opts.interpolation),
+    tokenRegex: syntax.constructTokenRegex(opts.interpolation),
+    variantCount: opts.variantCount || 2,
+    pluralCategories: opts.pluralCategories || ['one', 'other']
+  };
+  var check = opts.messageFormat === 'icu' ? checkMessage : checkPhrase;
+  var entries = flattenPhrases(phrases);
+  context.keys = {};
+  entries.forEach(function (entry) { context.keys[entry[0]] = true; });
+
+  var diagnostics = [];
+  entries.forEach(function (entry) {
+    var key = entry[0];
+    var phrase = entry[1];
+    var found = [];
+    var report = function (problem, position, message) {
+      found.push(diagnostic(key, problem, position, message));
+    };
+
+    if (typeof phrase === 'string') {
+      check(phrase, context, report);
+      checkReferences(phrase, context, report);
+    } else if (typeof phrase !== 'function') {
+      report('invalid-phrase', 0, 'The phrase is a ' + (phrase === null ? 'null' : typeof phrase) + ', not a string');
+    }
+    found.sort(function (a, b) { return a.position - b.position; });
+    diagnostics.push.apply(diagnostics, found);
+  });
+  return diagnostics;
+}
+
+// Returns the names of the placeholders of a parsed ICU message, in the
+// order they first appear.
+function messageArgumentNames(nodes, names) {
+  var found = names || [];
+  nodes.forEach(function (node) {
+    if (typeof node === 'string' || node.type === 'pound') {
+      return;
+    }
+    if (found.indexOf(node.name) === -1) {
+      found.push(node.name);
+    }
+    if (node.options) {
+      objectEntries(node.options).forEach(function (option) {
+        messageArgumentNames(option[1], found);
+      });
+    }
+  });
+  return found;
+}
+
+// Returns the placeholder names and the variants of a phrase, or `null` if
+// it can't be parsed.
+function phraseShape(phrase, context) {
+  try {
+    if (context.messageFormat === 'icu') {
+      return { names: messageArgumentNames(icuMessageFormat.parse(phrase)), variants: null };
+    }
+    var parsed = phraseParser.parse(phrase, context.tokenRegex);
+    var variants = parsed.variants || [{ conditions: null, segments: parsed.segments }];
+    var names = [];
+    variants.forEach(function (variant) {
+      variant.segments.forEach(function (segment) {
+        if (typeof segment !== 'string' && names.indexOf(segment.name) === -1) {
+          names.push(segment.name);
+        }
+      });
+    });
+    return { names: names, variants: variants };
+  } catch (e) {
+    if (!(e instanceof SyntaxError)) {
+      throw e;
+    }
+    return null;
+  }
+}
+
+// Counts the variants of a phrase, if they are chosen by position.
+function pluralVariants(variants) {
+  var isLabeled = variants.some(function (variant) { return variant.conditions !== null; });
+  return isLabeled ? null : variants.length;
+}
+
+// Compares the translation of a phrase with its source.
+function comparePhrases(source, target, context, report) {
+  var sourceShape = phraseShape(source, context);
+  var targetShape = phraseShape(target, context);
+  if (!sourceShape || !targetShape) {
+    return;
+  }
+
+  sourceShape.names.forEach(function (name) {
+    if (targetShape.names.indexOf(name) === -1) {
+      report('missing-placeholder', 'The placeholder "' + name + '" is missing from the translation', name);
+    }
+  });
+  targetShape.names.forEach(function (name) {
+    if (sourceShape.names.indexOf(name) === -1) {
+      report('extra-placeholder', 'The placeholder "' + name + '" is not in the source phrase', name);
+    }
+  });
+
+  if (sourceShape.variants) {
+    var sourceCount = pluralVariants(sourceShape.variants);
+    var targetCount = pluralVariants(targetShape.variants);
+    var expectedCount = sourceCount > 1 ? context.variantCount : 1;
+    var isPlural = sourceCount > 1 || targetCount > 1;
+    if (sourceCount !== null && targetCount !== null && isPlural && targetCount !== expectedCount) {
+      report('plural-count', sourceCount > 1
+        ? 'Expected ' + expectedCount + ' plural variants for the locale, found ' + targetCount
+        : 'The source phrase has no plural variants, found ' + targetCount);
+    }
+  }
+}
+
+// ### compare(source, target, options)
+//
+// Compares a phrases object, nested or flat, with the source phrases it
+// translates, and returns its diagnostics, ordered by the keys of the
+// source, then those of the translation. The options are the
+// `messageFormat` and `interpolation` of the phrases, and the
+// `variantCount` that phrases with plural forms should have in the locale
+// of the translation.
+//
+// Each diagnostic names the `key` of the phrase, the `problem`, and a
+// `message` describing it, as well as the `placeholder` for problems with
+// placeholders. The problems are:
+//
+//  - `missing-key`: a key of the source is not translated;
+//  - `extra-key`: a key of the translation is not in the source;
+//  - `missing-placeholder`: a placeholder of the source phrase is not in
+//    the translation;
+//  - `extra-placeholder`: a placeholder of the translation is not in the
+//    source phrase;
+//  - `plural-count`: the translation of a phrase with plural forms doesn't
+//    have as many unlabeled variants as the locale has plural forms, or a
+//    phrase without plural forms was translated with some.
+//
+// Phrases that are not strings, and ICU messages that are malformed, are
+// only compared by key: `validate` reports their problems.
+function compare(source, target, options) {
+  var opts = options || {};
+  var context = {
+    messageFormat: opts.messageFormat,
+    tokenRegex: syntax.constructTokenRegex(opts.interpolation),
+    variantCount: opts.variantCount || 2
+  };
+  var sourceEntries = flattenPhrases(source);
+  var targetEntries = flattenPhrases(target);
+  var sourcePhrases = {};
+  var targetPhrases = {};
+  sourceEntries.forEach(function (entry) { sourcePhrases[entry[0]] = entry[1]; });
+  targetEntries.forEach(function (entry) { targetPhrases[entry[0]] = entry[1]; });
+
+  var diagnostics = [];
+  var reporter = function (key) {
+    return function (problem, message, placeholder) {
+      var found = { key: key, problem: problem, message: message };
+      if (placeholder !== undefined) {
+        found.placeholder = placeholder;
+      }
+      diagnostics.push(found);
+    };
+  };
+
+  sourceEntries.forEach(function (entry) {
+    var key = entry[0];
+    var report = reporter(key);
+    if (!has(targetPhrases, key)) {
+      report('missing-key', 'The key is not translated');
+    } else if (typeof entry[1] === 'string' && typeof targetPhrases[key] === 'string') {
+      comparePhrases(entry[1], targetPhrases[key], context, report);
+    }
+  });
+  targetEntries.forEach(function (entry) {
+    if (!has(sourcePhrases, entry[0])) {
+      reporter(entry[0])('extra-key', 'The key is not in the source phrases');
+    }
+  });
+  return diagnostics;
+}
+
+module.exports = {
+  validate: validate,
+  compare: compare
+};
@@ -0,0 +1,1991 @@
+//     (c) 2012-2018 Airbnb, Inc.
+//
+//     polyglot.js may be freely distributed under the terms of the BSD
+//     license. For all licensing information, details, and documention:
+//     http://airbnb.github.com/polyglot.js
+//
+//
+// Polyglot.js is an I18n helper library written in JavaScript, made to
+// work both in the browser and in Node. It provides a simple solution for
+// interpolation and pluralization, based off of Airbnb's
+// experience adding I18n functionality to its Backbone.js and Node apps.
+//
+// Polylglot is agnostic to your translation backend. It doesn't perform any
+// translation; it simply gives you a way to manage translated phrases from
+// your client- or server-side JavaScript application.
+//
+// This is the runtime of Polyglot: it translates phrases that are compiled
+// already, and leaves parsing them to the compilers that `index.js`
+// registers. On its own, it can load modules of phrases compiled ahead of
+// time, without the weight of the parsers.
+//
+
+/* global Promise */
+
+'use strict';
+
+var objectEntries = require('object.entries');
+var warning = require('warning');
+var has = require('has');
+var trim = require('string.prototype.trim');
+var cldrPluralRules = require('./lib/cldr-plural-rules');
+var syntax = require('./lib/syntax');
+var flattenPhrases = require('./lib/flatten-phrases');
+var MissingKeyReporter = require('./lib/missing-key-reporter');
+
+var warn = function warn(message) {
+  warning(false, message);
+};
+
+var replace = String.prototype.replace;
+var split = String.prototype.split;
+
+// #### Pluralization methods
+
+// The CLDR plural operands of a count: its absolute value `n`, integer
+// digits `i`, and the number `v` and value `f` of its visible fraction
+// digits, also without trailing zeros (`w` and `t`). Counts can be numbers
+// or numeric strings, which keep their trailing zeros: `"1.50"` has two
+// visible fraction digits.
+//
+// See http://unicode.org/reports/tr35/tr35-numbers.html#Operands
+function pluralOperands(count) {
+  var n = Math.abs(Number(count));
+  var digits = /^[-+]?\d*\.?(\d*)$/.exec(trim(String(count)));
+  var fraction = digits ? digits[1] : '';
+  var significantFraction = replace.call(fraction, /0+$/, '');
+  return {
+    n: n,
+    i: Math.floor(n),
+    v: fraction.length,
+    w: significantFraction.length,
+    f: Number(fraction),
+    t: Number(significantFraction)
+  };
+}
+
+// Builds a plural type that picks the position of a phrase variant from the
+// CLDR plural category of the count, so that fractional counts such as
+// `1.5` pick the variant the language uses for them.
+function cldrPluralGroups(cldrPluralType, positions) {
+  return function (n, operands) {
+    var category = cldrPluralRules.pluralTypes[cldrPluralType](operands || pluralOperands(n));
+    return positions[category];
+  };
+}
+
+var russianPluralGroups = cldrPluralGroups('russian', {
+  one: 0, few: 1, many: 2, other: 1
+});
+
+var serbianPluralGroups = cldrPluralGroups('serbian', { one: 0, few: 1, other: 2 });
+
+var defaultPluralRules = {
+  // Mapping from pluralization group plural logic. Every plural type gets the
+  // absolute value of the count and its CLDR plural operands, and returns the
+  // position of the phrase variant to use.
+  pluralTypes: {
+    arabic: cldrPluralGroups('arabic', {
+      zero: 0, one: 1, two: 2, few: 3, many: 4, other: 5
+    }),
+    bosnian_serbian: serbianPluralGroups,
+    chinese: function () { return 0; },
+    croatian: serbianPluralGroups,
+    french: cldrPluralGroups('french', { one: 0, many: 1, other: 1 }),
+    german: cldrPluralGroups('english', { one: 0, other: 1 }),
+    russian: russianPluralGroups,
+    lithuanian: cldrPluralGroups('lithuanian', {
+      one: 0, few: 1, many: 2, other: 2
+    }),
+    czech: cldrPluralGroups('czech', {
+      one: 0, few: 1, many: 2, other: 2
+    }),
+    polish: cldrPluralGroups('polish', {
+      one: 0, few: 1, many: 2, other: 1
+    }),
+    icelandic: cldrPluralGroups('icelandic', { one: 0, other: 1 }),
+    slovenian: cldrPluralGroups('slovenian', {
+      one: 0, two: 1, few: 2, other: 3
+    })
+  },
+
+  // Mapping from pluralization group to individual language codes/locales.
+  // Will look up based on exact match, if not found and it's a locale will parse the locale
+  // for language code, and if that does not exist will default to 'en'
+  pluralTypeToLanguages: {
+    arabic: ['ar'],
+    bosnian_serbian: ['bs-Latn-BA', 'bs-Cyrl-BA', 'srl-RS', 'sr-RS'],
+    chinese: ['id', 'id-ID', 'ja', 'ko', 'ko-KR', 'lo', 'ms', 'th', 'th-TH', 'zh'],
+    croatian: ['hr', 'hr-HR'],
+    german: ['fa', 'da', 'de', 'en', 'es', 'fi', 'el', 'he', 'hi-IN', 'hu', 'hu-HU', 'it', 'nl', 'no', 'pt', 'sv', 'tr'],
+    french: ['fr', 'tl', 'pt-br'],
+    russian: ['ru', 'ru-RU'],
+    lithuanian: ['lt'],
+    czech: ['cs', 'cs-CZ', 'sk'],
+    polish: ['pl'],
+    icelandic: ['is'],
+    slovenian: ['sl-SL']
+  }
+};
+
+function langToTypeMap(mapping) {
+  var ret = {};
+  objectEntries(mapping).forEach(function (entry) {
+    var type = entry[0];
+    var langs = entry[1];
+
+    langs.forEach(function (lang) {
+      ret[lang] = type;
+    });
+  });
+  return ret;
+}
+
+// The lookups of plural types by locale are memoized for each
+// `pluralTypeToLanguages` mapping, as they happen on every pluralization.
+var pluralTypeLookups = [];
+
+function pluralTypeLookup(mapping) {
+  for (var i = 0; i < pluralTypeLookups.length; i += 1) {
+    if (pluralTypeLookups[i].mapping === mapping) {
+      return pluralTypeLookups[i];
+    }
+  }
+  var lookup = { mapping: mapping, langToPluralType: langToTypeMap(mapping), locales: {} };
+  pluralTypeLookups.push(lookup);
+  return lookup;
+}
+
+// Looks the plural type of a locale up, first by exact match and then by
+// its language code. Returns `undefined` for locales the rules don't list.
+function listedPluralTypeName(pluralRules, locale) {
+  var lookup = pluralTypeLookup(pluralRules.pluralTypeToLanguages);
+  if (!has(lookup.locales, locale)) {
+    var langToPluralType = lookup.langToPluralType;
+    lookup.locales[locale] = langToPluralType[locale]
+      || langToPluralType[split.call(locale, /-/, 1)[0]];
+  }
+  return lookup.locales[locale];
+}
+
+function pluralTypeName(pluralRules, locale) {
+  return listedPluralTypeName(pluralRules, locale)
+    || pluralTypeLookup(pluralRules.pluralTypeToLanguages).langToPluralType.en;
+}
+
+function pluralTypeIndex(pluralRules, locale, count) {
+  var operands = pluralOperands(count);
+  return pluralRules.pluralTypes[pluralTypeName(pluralRules, locale)](operands.n, operands);
+}
+
+// #### CLDR plural categories
+// Every CLDR locale sorts counts into some of these plural categories, listed
+// in the order that unlabeled phrase variants are expected in.
+var pluralCategories = ['zero', 'one', 'two', 'few', 'many', 'other'];
+
+var intlPluralRulesCache = {};
+
+// Whether `Intl.PluralRules` selects by the fraction digits it shows, as
+// `1.0` is not `one` in English. Early implementations ignore them.
+var intlSeesFractionDigits;
+
+function seesFractionDigits() {
+  if (intlSeesFractionDigits === undefined) {
+    var english = new Intl.PluralRules('en', { minimumFractionDigits: 1, maximumFractionDigits: 1 });
+    intlSeesFractionDigits = english.select(1) === 'other';
+  }
+  return intlSeesFractionDigits;
+}
+
+// Returns an `Intl.PluralRules` for `locale` that shows `fractionDigits`
+// fraction digits, or `null` if the environment has none, doesn't support
+// that locale, or can't show fraction digits.
+function intlPluralRules(locale, fractionDigits) {
+  if (typeof Intl === 'undefined' || typeof Intl.PluralRules !== 'function') {
+    return null;
+  }
+  var digits = Math.min(fractionDigits || 0, 20);
+  if (digits > 0 && !seesFractionDigits()) {
+    return null;
+  }
+  var cacheKey = locale + ':' + digits;
+  if (!has(intlPluralRulesCache, cacheKey)) {
+    var rules = null;
+    try {
+      if (Intl.PluralRules.supportedLocalesOf([locale]).length > 0) {
+        rules = new Intl.PluralRules(locale, {
+          minimumFractionDigits: digits,
+          maximumFractionDigits: digits
+        });
+      }
+    } catch (e) {
+      // `locale` is not a well-formed language tag: use the bundled rules.
+    }
+    intlPluralRulesCache[cacheKey] = rules;
+  }
+  return intlPluralRulesCache[cacheKey];
+}
+
+function cldrPluralTypeName(locale) {
+  return listedPluralTypeName(cldrPluralRules, locale) || 'english';
+}
+
+// Returns the CLDR plural category of `count` in `locale`, using
+// `Intl.PluralRules` where it exists and the bundled CLDR rules otherwise.
+function pluralCategory(locale, count) {
+  var operands = pluralOperands(count);
+  var rules = intlPluralRules(locale, operands.v);
+  if (rules) {
+    return rules.select(operands.n);
+  }
+  return cldrPluralRules.pluralTypes[cldrPluralTypeName(locale)](operands);
+}
+
+// Returns the plural categories used by `locale`, in the CLDR order.
+function localePluralCategories(locale) {
+  var rules = intlPluralRules(locale);
+  if (rules) {
+    var used = rules.resolvedOptions().pluralCategories;
+    return pluralCategories.filter(function (category) {
+      return used.indexOf(category) !== -1;
+    });
+  }
+  return cldrPluralRules.pluralTypeCategories[cldrPluralTypeName(locale)];
+}
+
+// Variants labeled with the value of a substitution, as in
+// `[gender:female]`, are chosen even without a count.
+var selectConditionRegex = /^[\w.-]+:/;
+
+function hasSelectCondition(variant) {
+  return variant.conditions !== null && variant.conditions.some(function (condition) {
+    return selectConditionRegex.test(condition);
+  });
+}
+
+// Scores how specifically a labeled variant matches the substitutions:
+// exact counts score 2, plural categories and substitution values 1, and
+// `other` 0. Returns `null` if any condition doesn't match.
+function variantScore(variant, options, category) {
+  var count = options.smart_count;
+  var score = 0;
+  for (var i = 0; i < variant.conditions.length; i += 1) {
+    var condition = variant.conditions[i];
+    var separator = condition.indexOf(':');
+    if (condition.charAt(0) === '=') {
+      if (count == null || Number(condition.slice(1)) !== Number(count)) {
+        return null;
+      }
+      score += 2;
+    } else if (separator !== -1) {
+      var name = condition.slice(0, separator);
+      var value = condition.slice(separator + 1);
+      if (value !== 'other') {
+        if (!has(options, name) || options[name] == null || String(options[name]) !== value) {
+          return null;
+        }
+        score += 1;
+      }
+    } else if (condition !== 'other') {
+      if (condition !== category) {
+        return null;
+      }
+      score += 1;
+    }
+  }
+  return score;
+}
+
+// Chooses the variant of a phrase to use for the substitutions.
+//
+// If any variant is labeled, the variant whose conditions match most
+// specifically is chosen: an exact count over a plural category over
+// `other`. Unlabeled variants match anything, but come last.
+//
+// Unlabeled variants are otherwise chosen by position, from the count in
+// `smart_count`. For the locales listed in `pluralRules`, the position is
+// given by their plural type; for all others, it is the position of the
+// plural category among the categories the locale uses, so Welsh phrases
+// list six variants, for `zero` to `other`. Phrases with fewer variants than
+// that use their last variant for the rest.
+function selectVariant(variants, options, pluralRules, locale) {
+  var count = options.smart_count;
+  var isLabeled = variants.some(function (variant) { return variant.conditions !== null; });
+  if (isLabeled) {
+    var category = count != null ? pluralCategory(locale, count) : null;
+    var chosen = variants[0];
+    var bestScore = null;
+    variants.forEach(function (variant) {
+      var score = variant.conditions ? variantScore(variant, options, category) : -1;
+      if (score !== null && (bestScore === null || score > bestScore)) {
+        chosen = variant;
+        bestScore = score;
+      }
+    });
+    return chosen;
+  }
+
+  var index;
+  if (listedPluralTypeName(pluralRules, locale)
+    || !listedPluralTypeName(cldrPluralRules, locale)) {
+    index = pluralTypeIndex(pluralRules, locale, count);
+  } else {
+    index = localePluralCategories(locale).indexOf(pluralCategory(locale, count));
+  }
+  if (typeof index !== 'number' || index < 0 || index % 1 !== 0) {
+    return variants[0];
+  }
+  return variants[Math.min(index, variants.length - 1)];
+}
+
+// Counts that reach every plural form of the built-in rules, to find how
+// many forms a plural type, which is a function, can choose from.
+var sampleCounts = (function () {
+  var counts = ['0.0', '0.5', '1.0', '1.5', '2.5', '1000000', '1000000.5'];
+  for (var count = 0; count <= 200; count += 1) {
+    counts.push(count);
+  }
+  return counts;
+}());
+
+// Returns the number of unlabeled variants that phrases with plural forms
+// are expected to have in `locale`, following the same rules as
+// `selectVariant`.
+function pluralVariantCount(pluralRules, locale) {
+  if (listedPluralTypeName(pluralRules, locale)
+    || !listedPluralTypeName(cldrPluralRules, locale)) {
+    return sampleCounts.reduce(function (variantCount, count) {
+      var index = pluralTypeIndex(pluralRules, locale, count);
+      var isPosition = typeof index === 'number' && index >= 0 && index % 1 === 0;
+      return isPosition ? Math.max(variantCount, index + 1) : variantCount;
+    }, 1);
+  }
+  return localePluralCategories(locale).length;
+}
+
+// #### Locale fallback
+// Builds the ordered list of locales to look a phrase up in: the locale
+// itself, then either its configured `fallbackLocales` or, by default, its
+// parent locales (`pt-BR` → `pt`), and finally the `defaultLocale`.
+function localeFallbackChain(locale, fallbackLocales, defaultLocale) {
+  var chain = [];
+  var add = function (candidate) {
+    if (candidate && chain.indexOf(candidate) === -1) {
+      chain.push(candidate);
+    }
+  };
+
+  add(locale);
+  if (fallbackLocales && has(fallbackLocales, locale)) {
+    [].concat(fallbackLocales[locale]).forEach(add);
+  } else {
+    var subtags = split.call(locale, '-');
+    for (var i = subtags.length - 1; i > 0; i -= 1) {
+      add(subtags.slice(0, i).join('-'));
+    }
+  }
+  add(defaultLocale);
+
+  return chain;
+}
+
+// #### Text direction
+//
+// Locales are written right to left if their script is, such as `ar` or
+// `he`, or `az-Arab`, whose script subtag overrides the usual script of its
+// language.
+
+var rtlLanguages = [
+  'ar', 'arc', 'ckb', 'dv', 'fa', 'he', 'iw', 'ks', 'ku', 'mzn', 'pnb', 'ps', 'sd', 'ug', 'ur', 'yi'
+];
+var rtlScripts = [
+  'adlm', 'arab', 'hebr', 'mand', 'mend', 'nkoo', 'rohg', 'samr', 'syrc', 'thaa', 'yezi'
+];
+
+function localeDirection(locale) {
+  var subtags = split.call(locale.toLowerCase(), /[-_]/);
+  var script = subtags.slice(1).filter(function (subtag) {
+    return /^[a-z]{4}$/.test(subtag);
+  })[0];
+  var isRtl = script
+    ? rtlScripts.indexOf(script) !== -1
+    : rtlLanguages.indexOf(subtags[0]) !== -1;
+  return isRtl ? 'rtl' : 'ltr';
+}
+
+// Unicode FIRST STRONG ISOLATE and POP DIRECTIONAL ISOLATE, which lay out
+// the text between them in its own direction, without affecting the text
+// around it.
+var firstStrongIsolate = '\u2068';
+var popDirectionalIsolate = '\u2069';
+
+// Whether to isolate values: the `isolate` substitution of a single call
+// takes precedence over the default of the instance.
+function shouldIsolate(options, isolateByDefault) {
+  return options !== null && typeof options === 'object' && typeof options.isolate === 'boolean'
+    ? options.isolate
+    : isolateByDefault;
+}
+
+// Wraps the values of pieces in isolation marks, as text pieces, so that
+// elements of `tParts` are wrapped as well.
+function isolateValues(pieces) {
+  var isolated = [];
+  pieces.forEach(function (piece) {
+    if (has(piece, 'value')) {
+      isolated.push({ text: firstStrongIsolate }, piece, { text: popDirectionalIsolate });
+    } else {
+      isolated.push(piece);
+    }
+  });
+  return isolated;
+}
+
+// #### Value formatting
+
+var intlFormatCache = {};
+
+// Returns a cached `Intl` formatter, such as an `Intl.NumberFormat`, or `null`
+// if the environment has none.
+function intlFormat(type, locale, options) {
+  if (typeof Intl === 'undefined' || typeof Intl[type] !== 'function') {
+    return null;
+  }
+  var cacheKey = type + ':' + locale + ':' + JSON.stringify(options);
+  if (!has(intlFormatCache, cacheKey)) {
+    var formatter = null;
+    try {
+      formatter = new Intl[type](locale, options);
+    } catch (e) {
+      // `locale` or `options` are not supported: leave the value unformatted.
+    }
+    intlFormatCache[cacheKey] = formatter;
+  }
+  return intlFormatCache[cacheKey];
+}
+
+var numberStyles = {
+  integer: { maximumFractionDigits: 0 },
+  percent: { style: 'percent' }
+};
+
+var dateStyles = {
+  short: { year: '2-digit', month: 'numeric', day: 'numeric' },
+  medium: { year: 'numeric', month: 'short', day: 'numeric' },
+  long: { year: 'numeric', month: 'long', day: 'numeric' },
+  full: {
+    weekday: 'long', year: 'numeric', month: 'long', day: 'numeric'
+  }
+};
+
+var timeStyles = {
+  short: { hour: 'numeric', minute: 'numeric' },
+  medium: { hour: 'numeric', minute: 'numeric', second: 'numeric' },
+  long: {
+    hour: 'numeric', minute: 'numeric', second: 'numeric', timeZoneName: 'short'
+  },
+  full: {
+    hour: 'numeric', minute: 'numeric', second: 'numeric', timeZoneName: 'short'
+  }
+};
+
+// Whether `number` is `NaN`, the only number that compares false to every
+// number.
+function numberIsNaN(number) {
+  return !(number <= 0 || number > 0);
+}
+
+var numericStringRegex = /^\s*[-+]?(?:\d+\.?\d*|\.\d+)(?:e[-+]?\d+)?\s*$/i;
+
+// Returns the number that `value` stands for, if it is a number or a string
+// of a decimal number, or `null`. Empty strings and booleans are not numbers.
+function numericValue(value) {
+  if (typeof value === 'number') {
+    return numberIsNaN(value) ? null : value;
+  }
+  return typeof value === 'string' && numericStringRegex.test(value) ? Number(value) : null;
+}
+
+// Formats a value with one of the built-in formats, `number`, `currency`,
+// `date` or `time`, for `locale`. Values of other formats, values that are
+// not numbers, numeric strings or valid dates, and all values in
+// environments without `Intl`, are left as they are.
+function formatValue(value, format, style, locale) {
+  var formatter;
+  if (format === 'currency' || format === 'number') {
+    var number = numericValue(value);
+    if (number === null) {
+      return value;
+    }
+    if (format === 'currency') {
+      formatter = style ? intlFormat('NumberFormat', locale, { style: 'currency', currency: style }) : null;
+    } else {
+      formatter = intlFormat('NumberFormat', locale, numberStyles[style] || {});
+    }
+    return formatter ? formatter.format(number) : value;
+  }
+  if (format === 'date' || format === 'time') {
+    var date = value instanceof Date ? value : new Date(value);
+    if (numberIsNaN(date.getTime())) {
+      return value;
+    }
+    var styles = format === 'date' ? dateStyles : timeStyles;
+    formatter = intlFormat('DateTimeFormat', locale, styles[style] || styles.medium);
+    return formatter ? formatter.format(date) : value;
+  }
+  return value;
+}
+
+// Returns the function that formats the values of placeholders with a
+// format, as in `%{price, currency, EUR}`, for `locale`. Named `formatters`
+// take precedence over the built-in formats, and are called with the value,
+// the style and the locale.
+function valueFormatter(formatters, locale) {
+  return function (value, format, style) {
+    if (formatters && has(formatters, format)) {
+      return formatters[format](value, style, locale);
+    }
+    return formatValue(value, format, style, locale);
+  };
+}
+
+// #### Phrase pieces
+//
+// Transformed phrases are built as lists of pieces: `{text: ...}` for the
+// text of the phrase, and `{value: ...}` for the values of its placeholders.
+// `t` joins them into a string, while `tParts` also looks for tags in the
+// text, but never in the values.
+//
+// #### Escaping
+//
+// With the `escape` option, interpolated values are HTML-escaped, unless
+// they are wrapped with `Polyglot.raw`. The phrases themselves never are.
+
+var htmlEntities = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  '\'': '&#39;'
+};
+
+function escapeHtml(text) {
+  return replace.call(text, /[&<>"']/g, function (character) {
+    return htmlEntities[character];
+  });
+}
+
+// A trusted value, which is inserted as it is even when escaping.
+function RawValue(value) {
+  this.value = value;
+}
+
+// Returns the piece that inserts `value` into a phrase: escaped if
+// `escapeValues` is set, and unwrapped if it is trusted. Other values than
+// strings and numbers, such as elements for `tParts`, are kept as they are,
+// but marked so that they are escaped once they are turned into strings.
+function valuePiece(value, escapeValues) {
+  if (value instanceof RawValue) {
+    return { value: value.value };
+  }
+  if (!escapeValues) {
+    return { value: value };
+  }
+  if (typeof value === 'string' || typeof value === 'number') {
+    return { value: escapeHtml(String(value)) };
+  }
+  return { value: value, isUnescaped: true };
+}
+
+// Joins pieces into a string, escaping the values that were kept as they
+// are for `tParts`.
+function joinPieces(pieces) {
+  var result = '';
+  for (var i = 0; i < pieces.length; i += 1) {
+    var piece = pieces[i];
+    if (!has(piece, 'value')) {
+      result += piece.text;
+    } else if (piece.isUnescaped) {
+      result += escapeHtml(String(piece.value));
+    } else if (piece.value != null) {
+      result += String(piece.value);
+    }
+  }
+  return result;
+}
+
+// Formats the value of a placeholder with a format, unwrapping trusted
+// values first. Formatters can return trusted values of their own.
+function formatPlaceholder(format, value, type, style) {
+  return format(value instanceof RawValue ? value.value : value, type, style);
+}
+
+// #### Compiled phrases
+//
+// Phrases are compiled once into functions that return their pieces for a
+// set of substitutions: the parsers split the variants, parse their labels
+// and split their text at the placeholders, and the functions below render
+// the result. Instances cache the compiled phrases, so that translating a
+// phrase again skips the parsing.
+
+// Returns the value to insert for a placeholder, formatted if the
+// placeholder names a format, or `null` if it has no value.
+function placeholderValue(segment, options, format) {
+  var argument = segment.argument;
+  if (has(options, argument) && options[argument] != null) {
+    return options[argument];
+  }
+  var value = has(options, segment.name) ? options[segment.name] : null;
+  if (!segment.format || value == null) {
+    return null;
+  }
+  return formatPlaceholder(format, value, segment.format, segment.style);
+}
+
+// Interpolates compiled text, replacing the placeholders that have a value.
+function segmentPieces(segments, options, format, escapeValues) {
+  return segments.map(function (segment) {
+    if (typeof segment === 'string') {
+      return { text: segment };
+    }
+    var value = placeholderValue(segment, options, format);
+    return value == null
+      ? { text: segment.expression }
+      : valuePiece(value, escapeValues);
+  });
+}
+
+// Whether to escape values: the `escape` substitution of a single call takes
+// precedence over the default of the instance.
+function shouldEscape(options, escapeByDefault) {
+  return typeof options.escape === 'boolean' ? options.escape : Boolean(escapeByDefault);
+}
+
+// Builds the render function of a parsed Polyglot phrase: a function of the
+// substitutions, locale, plural rules, value formatter and default escaping,
+// returning pieces. See `lib/phrase-parser.js` for the parsed phrases.
+function phraseRenderer(parsed) {
+  var segments = parsed.segments;
+  var variants = parsed.variants || [{ conditions: null, segments: segments }];
+  var hasSelectConditions = variants.some(hasSelectCondition);
+
+  return function (substitutions, locale, pluralRules, formatter, escapeByDefault) {
+    if (substitutions == null) {
+      return segments.map(function (segment) {
+        return { text: typeof segment === 'string' ? segment : segment.expression };
+      });
+    }
+
+    var localeOrDefault = locale || 'en';
+
+    // allow number as a pluralization shortcut
+    var options = typeof substitutions === 'number' ? { smart_count: substitutions } : substitutions;
+
+    // Select plural form: based on a phrase text that contains `n`
+    // plural forms separated by `||||`, a `locale`, and a `substitutions.smart_count`,
+    // choose the correct plural form. This is only done if `count` is set, or
+    // if the forms are labeled with the values of other substitutions.
+    var selected = segments;
+    if (options.smart_count != null || hasSelectConditions) {
+      selected = selectVariant(
+        variants,
+        options,
+        pluralRules || defaultPluralRules,
+        localeOrDefault
+      ).segments;
+    }
+
+    // Interpolate the placeholders of the chosen form.
+    return segmentPieces(
+      selected,
+      options,
+      formatter || valueFormatter(null, localeOrDefault),
+      shouldEscape(options, escapeByDefault)
+    );
+  };
+}
+
+// #### Compilers
+//
+// Phrases are compiled into render functions, of the substitutions, locale,
+// plural rules, value formatter and default escaping, that return pieces.
+// The compilers that parse phrases are registered by message format in
+// `Polyglot.compilers`, by `index.js`, so that the runtime can be used
+// without them for phrases compiled ahead of time.
+var compilers = {};
+
+function compile(messageFormat, phrase, tokenRegex) {
+  if (!has(compilers, messageFormat)) {
+    throw new Error(
+      'Cannot compile ' + messageFormat + ' phrases with the Polyglot runtime alone;'
+      + ' require "node-polyglot" or compile the phrases ahead of time'
+    );
+  }
+  return compilers[messageFormat](phrase, tokenRegex);
+}
+
+// ### transformPhrase(phrase, substitutions, locale)
+//
+// Takes a phrase string and transforms it by choosing the correct
+// plural form and interpolating it.
+//
+//     transformPhrase('Hello, %{name}!', {name: 'Spike'});
+//     // "Hello, Spike!"
+//
+// The correct plural form is selected if substitutions.smart_count
+// is set. You can pass in a number instead of an Object as `substitutions`
+// as a shortcut for `smart_count`.
+//
+//     transformPhrase('%{smart_count} new messages |||| 1 new message', {smart_count: 1}, 'en');
+//     // "1 new message"
+//
+//     transformPhrase('%{smart_count} new messages |||| 1 new message', {smart_count: 2}, 'en');
+//     // "2 new messages"
+//
+//     transformPhrase('%{smart_count} new messages |||| 1 new message', 5, 'en');
+//     // "5 new messages"
+//
+// You should pass in a third argument, the locale, to specify the correct plural type.
+// It defaults to `'en'` with 2 plural forms.
+//
+// Placeholders can name a format for their value, which is formatted with
+// `Intl` for the locale.
+//
+//     transformPhrase('Total: %{price, currency, EUR}', {price: 1234.5}, 'de');
+//     // "Total: 1.234,50 €"
+function transformPhrase(
+  phrase,
+  substitutions,
+  locale,
+  tokenRegex,
+  pluralRules,
+  formatter,
+  escapeByDefault
+) {
+  return joinPieces(compile('polyglot', phrase, tokenRegex)(
+    substitutions,
+    locale,
+    pluralRules,
+    formatter,
+    escapeByDefault
+  ));
+}
+
+// #### ICU MessageFormat
+
+// Returns the CLDR ordinal category of `count`, as in "1st" or "2nd", for
+// `selectordinal`. Without `Intl.PluralRules`, it is always `other`.
+function ordinalCategory(locale, count) {
+  var rules = intlFormat('PluralRules', locale, { type: 'ordinal' });
+  return rules ? rules.select(Math.abs(Number(count))) : 'other';
+}
+
+// Formats the nodes of a parsed ICU message into pieces, for a `message`
+// context of the `values`, `locale`, `format` function for typed arguments
+// and whether to `escape` values. `count` is the value that `#` stands for
+// in the options of a plural.
+function messageNodePieces(nodes, message, count) {
+  var pieces = [];
+  var values = message.values;
+  nodes.forEach(function (node) {
+    if (typeof node === 'string') {
+      pieces.push({ text: node });
+      return;
+    }
+    if (node.type === 'pound') {
+      pieces.push(valuePiece(message.format(count, 'number', null), message.escape));
+      return;
+    }
+
+    var value = has(values, node.name) ? values[node.name] : null;
+    if (node.type === 'argument') {
+      if (value == null) {
+        pieces.push({ text: '{' + node.name + '}' });
+      } else {
+        var formatted = node.format
+          ? formatPlaceholder(message.format, value, node.format, node.style)
+          : value;
+        pieces.push(valuePiece(formatted, message.escape));
+      }
+      return;
+    }
+
+    if (node.type === 'select') {
+      var key = String(value);
+      pieces.push.apply(pieces, messageNodePieces(
+        has(node.options, key) ? node.options[key] : node.options.other,
+        message,
+        count
+      ));
+      return;
+    }
+
+    var number = Number(value);
+    var relative = node.offset ? number - node.offset : value;
+    var category = node.type === 'selectordinal'
+      ? ordinalCategory(message.locale, relative)
+      : pluralCategory(message.locale, relative);
+    var options = node.options['=' + number] || node.options[category] || node.options.other;
+    pieces.push.apply(
+      pieces,
+      messageNodePieces(options, message, node.offset ? relative : number)
+    );
+  });
+  return pieces;
+}
+
+// Builds the render function of a parsed ICU message, like `phraseRenderer`
+// does for Polyglot phrases. See `lib/icu-message-format.js` for the nodes.
+function messageRenderer(nodes) {
+  return function (substitutions, locale, pluralRules, formatter, escapeByDefault) {
+    var options = typeof substitutions === 'number' ? { smart_count: substitutions } : substitutions;
+    var values = options || {};
+    var localeOrDefault = locale || 'en';
+    return messageNodePieces(nodes, {
+      values: values,
+      locale: localeOrDefault,
+      format: formatter || valueFormatter(null, localeOrDefault),
+      escape: shouldEscape(values, escapeByDefault)
+    });
+  };
+}
+
+// ### transformMessage(message, substitutions, locale)
+//
+// Formats an ICU MessageFormat message, the way `transformPhrase` transforms
+// a Polyglot phrase. Used instead of `transformPhrase` by instances created
+// with `messageFormat: 'icu'`.
+//
+//     transformMessage('{count, plural, one {# message} other {# messages}}', {count: 5}, 'en');
+//     // "5 messages"
+//
+// Like with `transformPhrase`, a number can be passed instead of an Object as
+// `substitutions`, as a shortcut for `smart_count`. Throws a `SyntaxError`
+// for malformed messages.
+function transformMessage(
+  message,
+  substitutions,
+  locale,
+  tokenRegex,
+  pluralRules,
+  formatter,
+  escapeByDefault
+) {
+  return joinPieces(compile('icu', message, tokenRegex)(
+    substitutions,
+    locale,
+    pluralRules,
+    formatter,
+    escapeByDefault
+  ));
+}
+
+var messageTransforms = {
+  polyglot: transformPhrase,
+  icu: transformMessage
+};
+
+// The `onMissingKey` of instances created with `allowMissing`, which
+// transforms the key as a phrase. The runtime alone returns the key as it is.
+function missingKeyTransform(messageFormat) {
+  var transform = messageTransforms[messageFormat];
+  return function (key) {
+    return has(compilers, messageFormat) ? transform.apply(null, arguments) : key;
+  };
+}
+
+// #### Rich text
+//
+// `tParts` maps tags such as `<link>text</link>` in phrases to the wrapper
+// functions of the same name in the substitutions. Tags without a wrapper,
+// and unbalanced tags, are left as text.
+
+var tagRegex = /<(\/?)([A-Za-z][\w.-]*)\s*(\/?)>/g;
+
+// Appends `part` to `parts`, joining adjacent strings. Non-string values,
+// such as elements, are kept as they are.
+function pushPart(parts, part) {
+  if (part === null || typeof part === 'undefined' || part === '') {
+    return;
+  }
+  if (typeof part === 'object' || typeof part === 'function') {
+    parts.push(part);
+  } else if (typeof parts[parts.length - 1] === 'string') {
+    parts.push(parts.pop() + part);
+  } else {
+    parts.push(String(part));
+  }
+}
+
+// Turns pieces into an array of strings and values, calling the wrapper
+// functions in `wrappers` with the parts between their tags.
+function wrapPieces(pieces, wrappers) {
+  var stack = [{ parts: [] }];
+  var current = function () {
+    return stack[stack.length - 1];
+  };
+  var wrapperFor = function (name) {
+    return has(wrappers, name) && typeof wrappers[name] === 'function' ? wrappers[name] : null;
+  };
+
+  pieces.forEach(function (piece) {
+    if (has(piece, 'value')) {
+      pushPart(current().parts, piece.value);
+      return;
+    }
+
+    var text = piece.text;
+    var lastIndex = 0;
+    replace.call(text, tagRegex, function (tag, closing, name, selfClosing, offset) {
+      var wrapper = wrapperFor(name);
+      pushPart(current().parts, text.slice(lastIndex, offset));
+      lastIndex = offset + tag.length;
+      if (wrapper && !closing && selfClosing) {
+        pushPart(current().parts, wrapper([]));
+      } else if (wrapper && !closing) {
+        stack.push({ name: name, tag: tag, parts: [] });
+      } else if (wrapper && !selfClosing && stack.length > 1 && current().name === name) {
+        var element = stack.pop();
+        pushPart(current().parts, wrapper(element.parts));
+      } else {
+        pushPart(current().parts, tag);
+      }
+      return tag;
+    });
+    pushPart(current().parts, text.slice(lastIndex));
+  });
+
+  // Tags that were never closed are left as text.
+  while (stack.length > 1) {
+    var unclosed = stack.pop();
+    var parent = current().parts;
+    pushPart(parent, unclosed.tag);
+    for (var i = 0; i < unclosed.parts.length; i += 1) {
+      pushPart(parent, unclosed.parts[i]);
+    }
+  }
+  return stack[0].parts;
+}
+
+// Returns the parts of a phrase for `tParts`, the functions of the
+// substitutions being the wrappers of its tags.
+function wrapSubstitutionPieces(pieces, substitutions) {
+  var wrappers = substitutions !== null && typeof substitutions === 'object' ? substitutions : {};
+  return wrapPieces(pieces, wrappers);
+}
+
+// Returns the keys of flattened phrases, once each, as a nested object and
+// a dot-notation key can flatten to the same key.
+function entryKeys(entries) {
+  var keys = {};
+  entries.forEach(function (entry) { keys[entry[0]] = true; });
+  return Object.keys(keys);
+}
+
+// Returns the phrases stored for `locale`, creating an empty set of phrases
+// for it if needed.
+function localePhrases(polyglot, locale) {
+  var phrasesByLocale = polyglot.phrasesByLocale;
+  if (!has(phrasesByLocale, locale)) {
+    phrasesByLocale[locale] = {};
+  }
+  return phrasesByLocale[locale];
+}
+
+// `extend`, `unset` and `replace` accept either a prefix string or an
+// object with `prefix` and `locale` properties as their second argument.
+// Resolves it to the prefix and the phrases of the targeted locale.
+function phraseTarget(polyglot, prefixOrOptions) {
+  var opts = typeof prefixOrOptions === 'string'
+    ? { prefix: prefixOrOptions }
+    : prefixOrOptions || {};
+  var locale = opts.locale || polyglot.currentLocale;
+  return {
+    prefix: opts.prefix,
+    locale: locale,
+    phrases: localePhrases(polyglot, locale)
+  };
+}
+
+// The types of the events that instances emit.
+var eventTypes = ['change', 'localeChange', 'missingKey'];
+
+// Calls the listeners of an event. Listeners added or removed by one of
+// them only take part in the next event.
+function emit(polyglot, type, event) {
+  polyglot.listeners[type].slice().forEach(function (listener) {
+    listener(event);
+  });
+}
+
+// Adds phrases as `extend` does, and returns their locale and keys.
+function addPhrases(polyglot, phrases, prefixOrOptions) {
+  var target = phraseTarget(polyglot, prefixOrOptions);
+  var entries = flattenPhrases(phrases, target.prefix);
+  entries.forEach(function (entry) {
+    target.phrases[entry[0]] = entry[1];
+  });
+  return { locale: target.locale, keys: entryKeys(entries) };
+}
+
+// Clears phrases as `clear` does: returns the `phrasesByLocale` and
+// `namespaceLoads` that are left once the phrases of `locale`, or of every
+// locale, are cleared, and the cleared keys of each locale as `changes`.
+function clearPhrases(polyglot, locale) {
+  var locales = locale ? [locale] : Object.keys(polyglot.phrasesByLocale);
+  var changes = locales.map(function (clearedLocale) {
+    return { locale: clearedLocale, keys: Object.keys(localePhrases(polyglot, clearedLocale)) };
+  });
+  var phrasesByLocale = {};
+  var namespaceLoads = {};
+  if (locale) {
+    objectEntries(polyglot.phrasesByLocale).forEach(function (entry) {
+      phrasesByLocale[entry[0]] = entry[0] === locale ? {} : entry[1];
+    });
+    objectEntries(polyglot.namespaceLoads).forEach(function (entry) {
+      if (entry[0] !== locale) {
+        namespaceLoads[entry[0]] = entry[1];
+      }
+    });
+  }
+  return { phrasesByLocale: phrasesByLocale, namespaceLoads: namespaceLoads, changes: changes };
+}
+
+// Phrases are strings, or render functions compiled ahead of time.
+function isPhrase(phrase) {
+  return typeof phrase === 'string' || typeof phrase === 'function';
+}
+
+// Returns the keys to look a phrase up with, in order: the key qualified
+// with the `context` option, if there is one, and the key itself.
+function phraseKeys(key, options) {
+  var context = options != null ? options.context : null;
+  if (typeof context === 'string' && context !== '') {
+    return [key + syntax.contextSeparator + context, key];
+  }
+  return [key];
+}
+
+// Returns the key of the first phrase of `keys` in `phrases`, or `null`.
+function firstPhraseKey(phrases, keys) {
+  for (var i = 0; i < keys.length; i += 1) {
+    if (has(phrases, keys[i]) && isPhrase(phrases[keys[i]])) {
+      return keys[i];
+    }
+  }
+  return null;
+}
+
+// Returns what translating in the current locale needs: its fallback
+// `chain`, its value `formatter`, and whether it `isPseudoLocale`. They are
+// built once, and again when the locale, the `fallbackLocales`,
+// `defaultLocale`, `formatters` or `pseudoLocales` of the instance are set,
+// or phrases are added with `extend`.
+function localeState(polyglot) {
+  var cache = polyglot.localeCache;
+  var state = cache.state;
+  var isCurrent = state !== undefined
+    && state.locale === polyglot.currentLocale
+    && state.fallbackLocales === polyglot.fallbackLocales
+    && state.defaultLocale === polyglot.defaultLocale
+    && state.formatters === polyglot.formatters
+    && state.pseudoLocales === polyglot.pseudoLocales;
+  if (!isCurrent) {
+    state = {
+      locale: polyglot.currentLocale,
+      fallbackLocales: polyglot.fallbackLocales,
+      defaultLocale: polyglot.defaultLocale,
+      formatters: polyglot.formatters,
+      pseudoLocales: polyglot.pseudoLocales,
+      chain: localeFallbackChain(
+        polyglot.currentLocale,
+        polyglot.fallbackLocales,
+        polyglot.defaultLocale
+      ),
+      formatter: valueFormatter(polyglot.formatters, polyglot.currentLocale),
+      isPseudoLocale: polyglot.pseudoLocales.indexOf(polyglot.currentLocale) !== -1
+    };
+    cache.state = state;
+  }
+  return state;
+}
+
+// Finds the phrase for `key`, for the context of `options`, along the
+// fallback chain of the current locale. Each locale is tried with the
+// context, then without it, before the next one. Returns the phrase together
+// with the locale that supplied it, or `null`.
+function findPhrase(polyglot, key, options) {
+  var keys = phraseKeys(key, options);
+  var chain = localeState(polyglot).chain;
+  for (var i = 0; i < chain.length; i += 1) {
+    var phrases = polyglot.phrasesByLocale[chain[i]];
+    var foundKey = phrases ? firstPhraseKey(phrases, keys) : null;
+    if (foundKey !== null) {
+      return { phrase: phrases[foundKey], locale: chain[i] };
+    }
+  }
+  return null;
+}
+
+// Returns the compiled phrase for the message format of `polyglot`,
+// compiling it on first use. Only the phrases of the instance are cached:
+// `_` defaults can be built from any value, such as `'Hi ' + name`, and
+// caching them would keep every one of them for the life of the instance.
+function compiledPhrase(polyglot, phrase, isStored) {
+  if (typeof phrase === 'function') {
+    return phrase;
+  }
+  if (!isStored) {
+    return compile(polyglot.messageFormat, phrase, polyglot.tokenRegex);
+  }
+  var compiledPhrases = polyglot.compiledPhrases;
+  if (!has(compiledPhrases, phrase)) {
+    compiledPhrases[phrase] = compile(polyglot.messageFormat, phrase, polyglot.tokenRegex);
+  }
+  return compiledPhrases[phrase];
+}
+
+// #### Pseudo-localization
+//
+// In pseudo-locales, such as `en-XA`, phrases are translated as usual, from
+// the locales of the fallback chain, and their text is then accented,
+// lengthened and bracketed, so that hard-coded strings, truncated text and
+// missing glyphs stand out before any translation is done. Substituted
+// values, placeholders without a value, tags and HTML entities are left as
+// they are.
+//
+//     [Ĥéļļö, Spike ~~~]
+
+var plainLetters = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz';
+var accentedLetters = 'ÅƁÇÐÉƑĜĤÎĴĶĻṀÑÖÞǪŔŠŢÛṼŴẊÝŽåƀçðéƒĝĥîĵķļṁñöþǫŕšţûṽŵẋýž';
+
+// How much longer pseudo-localized text gets, to make room for languages
+// whose translations are longer than English.
+var pseudoExpansion = 0.4;
+
+function accentLetters(text) {
+  return replace.call(text, /[A-Za-z]/g, function (letter) {
+    return accentedLetters.charAt(plainLetters.indexOf(letter));
+  });
+}
+
+// ICU arguments without a value are left in the text as `{name}`.
+var icuArgumentRegex = /\{[^{}]*\}/;
+
+// Pseudo-localizes the text of pieces, and brackets them. The placeholders
+// left in the text, which `placeholderRegex` matches, are kept as they are.
+function pseudoLocalizePieces(pieces, placeholderRegex) {
+  var keptRegex = new RegExp(
+    placeholderRegex.source + '|' + tagRegex.source + '|&(?:#\\d+|#x[\\da-fA-F]+|\\w+);',
+    'g'
+  );
+  var textLength = 0;
+  var localized = pieces.map(function (piece) {
+    if (has(piece, 'value')) {
+      return piece;
+    }
+    var text = '';
+    var lastIndex = 0;
+    replace.call(piece.text, keptRegex, function (kept) {
+      // The offset follows the groups, whose number depends on
+      // `placeholderRegex`.
+      var offset = arguments[arguments.length - 2];
+      text += accentLetters(piece.text.slice(lastIndex, offset)) + kept;
+      textLength += offset - lastIndex;
+      lastIndex = offset + kept.length;
+      return kept;
+    });
+    textLength += piece.text.length - lastIndex;
+    return { text: text + accentLetters(piece.text.slice(lastIndex)) };
+  });
+  var padding = new Array(Math.ceil(textLength * pseudoExpansion) + 1).join('~');
+  return [{ text: '[' }].concat(localized, { text: (padding ? ' ' + padding : '') + ']' });
+}
+
+// Looks up the phrase for `key`, and returns the `pieces` of the transformed
+// phrase, or the `result` to return as it is for missing keys and phrases
+// that cannot be transformed.
+function translatePieces(polyglot, key, opts) {
+  var phrase;
+  var locale = polyglot.currentLocale;
+  var formatter = localeState(polyglot).formatter;
+  var found = findPhrase(polyglot, key, opts);
+  if (!found) {
+    emit(polyglot, 'missingKey', { key: key, locale: polyglot.currentLocale, options: opts });
+  }
+  if (found) {
+    phrase = found.phrase;
+    locale = found.locale;
+  } else if (typeof opts._ === 'string') {
+    phrase = opts._;
+  } else if (polyglot.onMissingKey) {
+    var onMissingKey = polyglot.onMissingKey;
+    return {
+      result: onMissingKey(
+        key,
+        opts,
+        polyglot.currentLocale,
+        polyglot.tokenRegex,
+        polyglot.pluralRules,
+        formatter,
+        polyglot.escape
+      )
+    };
+  } else {
+    polyglot.warn('Missing translation for key: "' + key + '"');
+    return { result: key };
+  }
+  if (typeof phrase === 'string' && !has(compilers, polyglot.messageFormat)) {
+    polyglot.warn('Cannot translate the phrase for key "' + key + '" with the Polyglot runtime alone:'
+      + ' compile the phrases ahead of time');
+    return { result: phrase };
+  }
+  var pieces;
+  try {
+    pieces = compiledPhrase(polyglot, phrase, Boolean(found))(
+      opts,
+      locale,
+      polyglot.pluralRules,
+      formatter,
+      polyglot.escape
+    );
+  } catch (e) {
+    if (!(e instanceof SyntaxError)) {
+      throw e;
+    }
+    polyglot.warn('Malformed phrase for key "' + key + '": ' + e.message);
+    return { result: phrase };
+  }
+  return { pieces: pieces };
+}
+
+// #### References
+//
+// Phrases can reference other keys with `$t(key)`, which is replaced by the
+// translation of that key, looked up the same way as the phrase, with the
+// same substitutions. References are only looked for in the text of phrases,
+// never in the values of their placeholders.
+
+// How deeply references can be nested, so that long chains of references
+// are caught as well as circular ones.
+var maxReferenceDepth = 10;
+
+// The substitutions of references, without the `_` default and `context` of
+// the phrase that references them.
+function referenceOptions(opts) {
+  if (typeof opts !== 'object') {
+    return opts;
+  }
+  var options = {};
+  Object.keys(opts).forEach(function (name) {
+    if (name !== '_' && name !== 'context') {
+      options[name] = opts[name];
+    }
+  });
+  return options;
+}
+
+// Replaces the references in the text of pieces by the pieces of their
+// translations, with their own references resolved. `keys` are the keys
+// whose references led to the pieces, and references to one of them, or
+// nested too deeply, are left as they are.
+function resolveReferences(polyglot, pieces, opts, keys) {
+  var resolved = [];
+  var pushText = function (text) {
+    if (text) {
+      resolved.push({ text: text });
+    }
+  };
+  var referencePieces = function (reference, key) {
+    if (keys.indexOf(key) !== -1) {
+      polyglot.warn('Circular reference to key "' + key + '": ' + keys.concat(key).join(' -> '));
+      return [{ text: reference }];
+    }
+    if (keys.length >= maxReferenceDepth) {
+      polyglot.warn('Reference to key "' + key + '" nested more than '
+        + maxReferenceDepth + ' levels deep: ' + keys.concat(key).join(' -> '));
+      return [{ text: reference }];
+    }
+    var referenceOpts = referenceOptions(opts);
+    var translation = translatePieces(polyglot, key, referenceOpts);
+    return translation.pieces
+      ? resolveReferences(polyglot, translation.pieces, referenceOpts, keys.concat(key))
+      : [{ text: String(translation.result) }];
+  };
+  pieces.forEach(function (piece) {
+    if (has(piece, 'value') || piece.text.indexOf('$t(') === -1) {
+      resolved.push(piece);
+      return;
+    }
+    var lastIndex = 0;
+    replace.call(piece.text, syntax.referenceRegex, function (reference, key, offset) {
+      pushText(piece.text.slice(lastIndex, offset));
+      resolved.push.apply(resolved, referencePieces(reference, key));
+      lastIndex = offset + reference.length;
+      return reference;
+    });
+    pushText(piece.text.slice(lastIndex));
+  });
+  return resolved;
+}
+
+// Whether the text of pieces may contain references.
+function hasReferences(pieces) {
+  return pieces.some(function (piece) {
+    return !has(piece, 'value') && piece.text.indexOf('$t(') !== -1;
+  });
+}
+
+// Looks up the phrase for `key`, resolves its references, and renders the
+// pieces of the transformed phrase with `render`. Used by `t` and `tParts`.
+function translate(polyglot, key, options, render) {
+  var opts = options == null ? {} : options;
+  var translation = translatePieces(polyglot, key, opts);
+  if (!translation.pieces) {
+    return translation.result;
+  }
+  var pieces = translation.pieces;
+  if (hasReferences(pieces)) {
+    pieces = resolveReferences(polyglot, pieces, opts, [key]);
+  }
+  if (localeState(polyglot).isPseudoLocale) {
+    pieces = pseudoLocalizePieces(
+      pieces,
+      polyglot.messageFormat === 'icu' ? icuArgumentRegex : polyglot.tokenRegex
+    );
+  }
+  if (shouldIsolate(opts, polyglot.isolate)) {
+    pieces = isolateValues(pieces);
+  }
+  return render(pieces, opts);
+}
+
+// Prefixes a key, or the prefix of `extend`, with the prefix of a scope.
+function scopedKey(prefix, key) {
+  return key ? prefix + '.' + key : prefix;
+}
+
+// The translator that `polyglot.scope` returns. It keeps nothing but its
+// parent and its prefix, so that everything else is shared with the parent.
+function Scope(polyglot, prefix) {
+  this.polyglot = polyglot;
+  this.prefix = prefix;
+}
+
+Scope.prototype.t = function (key, options) {
+  return this.polyglot.t(scopedKey(this.prefix, key), options);
+};
+
+Scope.prototype.tParts = function (key, options) {
+  return this.polyglot.tParts(scopedKey(this.prefix, key), options);
+};
+
+Scope.prototype.has = function (key, options) {
+  return this.polyglot.has(scopedKey(this.prefix, key), options);
+};
+
+Scope.prototype.extend = function (morePhrases, prefixOrOptions) {
+  var opts = typeof prefixOrOptions === 'string'
+    ? { prefix: prefixOrOptions }
+    : prefixOrOptions || {};
+  this.polyglot.extend(morePhrases, {
+    prefix: scopedKey(this.prefix, opts.prefix),
+    locale: opts.locale
+  });
+};
+
+Scope.prototype.scope = function (prefix) {
+  return new Scope(this.polyglot, scopedKey(this.prefix, prefix));
+};
+
+// ### Polyglot class constructor
+function Polyglot(options) {
+  var opts = options || {};
+  this.listeners = { change: [], localeChange: [], missingKey: [] };
+  this.revision = 0;
+  this.localeCache = {};
+  this.phrasesByLocale = {};
+  objectEntries(opts.phrasesByLocale || {}).forEach(function (entry) {
+    this.extend(entry[1], { locale: entry[0] });
+  }, this);
+  this.currentLocale = opts.locale || 'en';
+  this.phrases = localePhrases(this, this.currentLocale);
+  this.extend(opts.phrases || {});
+  this.fallbackLocales = opts.fallbackLocales || {};
+  this.defaultLocale = opts.defaultLocale === undefined ? this.currentLocale : opts.defaultLocale;
+  this.messageFormat = opts.messageFormat || 'polyglot';
+  if (!has(messageTransforms, this.messageFormat)) {
+    throw new RangeError('Unknown message format "' + this.messageFormat + '"');
+  }
+  var allowMissing = opts.allowMissing ? missingKeyTransform(this.messageFormat) : null;
+  this.onMissingKey = typeof opts.onMissingKey === 'function' ? opts.onMissingKey : allowMissing;
+  this.warn = opts.warn || warn;
+  this.tokenRegex = syntax.constructTokenRegex(opts.interpolation);
+  this.pluralRules = opts.pluralRules || defaultPluralRules;
+  this.formatters = opts.formatters || {};
+  this.escape = Boolean(opts.escape);
+  this.isolate = Boolean(opts.isolate);
+  this.compiledPhrases = Object.create(null);
+  this.pseudoLocales = opts.pseudoLocales || ['en-XA'];
+  this.loader = typeof opts.loader === 'function' ? opts.loader : null;
+  this.namespaceLoads = {};
+  this.missingKeyReporter = null;
+  if (opts.reportMissingKeys) {
+    var polyglot = this;
+    var reporter = new MissingKeyReporter(opts.reportMissingKeys, function (message) {
+      polyglot.warn(message);
+    });
+    this.missingKeyReporter = reporter;
+    this.on('missingKey', function (event) { reporter.record(event); });
+  }
+}
+
+// ### polyglot.locale([locale])
+//
+// Get or set locale. Internally, Polyglot uses locale for pluralization and
+// to pick the fallback chain that missing phrases are looked up in.
+//
+// Phrases are stored per locale, so setting the locale also switches
+// `polyglot.phrases` to the phrases of the new locale. Setting another
+// locale emits a `localeChange` event.
+Polyglot.prototype.locale = function (newLocale) {
+  if (newLocale && newLocale !== this.currentLocale) {
+    var oldLocale = this.currentLocale;
+    this.currentLocale = newLocale;
+    this.phrases = localePhrases(this, newLocale);
+    this.localeCache = {};
+    this.revision += 1;
+    emit(this, 'localeChange', { oldLocale: oldLocale, newLocale: newLocale });
+  }
+  return this.currentLocale;
+};
+
+// ### polyglot.direction()
+//
+// Returns the direction of the current locale, `"rtl"` for right-to-left
+// locales such as Arabic and Hebrew, and `"ltr"` otherwise, such as for the
+// `dir` attribute of the elements that show translations.
+//
+//     polyglot.locale("he");
+//     polyglot.direction();
+//     // "rtl"
+Polyglot.prototype.direction = function () {
+  return localeDirection(this.currentLocale);
+};
+
+// ### polyglot.extend(phrases)
+//
+// Use `extend` to tell Polyglot how to translate a given key.
+//
+//     polyglot.extend({
+//       "hello": "Hello",
+//       "hello_name": "Hello, %{name}"
+//     });
+//
+// The key can be any string.  Feel free to call `extend` multiple times;
+// it will override any phrases with the same key, but leave existing phrases
+// untouched.
+//
+// It is also possible to pass nested phrase objects, which get flattened
+// into an object with the nested keys concatenated using dot notation.
+//
+//     polyglot.extend({
+//       "nav": {
+//         "hello": "Hello",
+//         "hello_name": "Hello, %{name}",
+//         "sidebar": {
+//           "welcome": "Welcome"
+//         }
+//       }
+//     });
+//
+//     console.log(polyglot.phrases);
+//     // {
+//     //   'nav.hello': 'Hello',
+//     //   'nav.hello_name': 'Hello, %{name}',
+//     //   'nav.sidebar.welcome': 'Welcome'
+//     // }
+//
+// `extend` accepts an optional second argument, `prefix`, which can be used
+// to prefix every key in the phrases object with some string, using dot
+// notation.
+//
+//     polyglot.extend({
+//       "hello": "Hello",
+//       "hello_name": "Hello, %{name}"
+//     }, "nav");
+//
+//     console.log(polyglot.phrases);
+//     // {
+//     //   'nav.hello': 'Hello',
+//     //   'nav.hello_name': 'Hello, %{name}'
+//     // }
+//
+// This feature is used internally to support nested phrase objects.
+//
+// Phrases are added to the current locale. To add phrases for another
+// locale, pass an options object with `locale` (and optionally `prefix`)
+// as the second argument instead.
+//
+//     polyglot.extend({
+//       "hello": "Hallo"
+//     }, {locale: "de"});
+//
+//     polyglot.locale("de");
+//     polyglot.t("hello");
+//     // "Hallo"
+Polyglot.prototype.extend = function (morePhrases, prefixOrOptions) {
+  var added = addPhrases(this, morePhrases, prefixOrOptions);
+  if (added.keys.length > 0) {
+    this.localeCache = {};
+    this.revision += 1;
+    emit(this, 'change', added);
+  }
+};
+
+// ### polyglot.unset(phrases)
+// Use `unset` to selectively remove keys from a polyglot instance.
+//
+//     polyglot.unset("some_key");
+//     polyglot.unset({
+//       "hello": "Hello",
+//       "hello_name": "Hello, %{name}"
+//     });
+//
+// The unset method can take either a string (for the key), or an object hash with
+// the keys that you would like to unset. Like `extend`, it accepts a prefix
+// or an options object with `prefix` and `locale` as the second argument.
+Polyglot.prototype.unset = function (morePhrases, prefixOrOptions) {
+  var target = phraseTarget(this, prefixOrOptions);
+  var keys = typeof morePhrases === 'string'
+    ? [target.prefix ? target.prefix + '.' + morePhrases : morePhrases]
+    : entryKeys(flattenPhrases(morePhrases, target.prefix));
+  var removedKeys = keys.filter(function (key) {
+    return has(target.phrases, key);
+  });
+  removedKeys.forEach(function (key) {
+    delete target.phrases[key];
+  });
+  if (removedKeys.length > 0) {
+    this.revision += 1;
+    emit(this, 'change', { locale: target.locale, keys: removedKeys });
+  }
+};
+
+// ### polyglot.clear([options])
+//
+// Clears all phrases, in every locale. Useful for special cases, such as
+// freeing up memory if you have lots of phrases but no longer need to
+// perform any translation. Pass `{locale: "de"}` to only clear the phrases
+// of one locale. Also used internally by `replace`. Either way, the cache of
+// compiled phrases is emptied, and the namespaces of the cleared locales
+// count as not loaded anymore.
+Polyglot.prototype.clear = function (options) {
+  var cleared = clearPhrases(this, options && options.locale);
+  this.phrasesByLocale = cleared.phrasesByLocale;
+  this.namespaceLoads = cleared.namespaceLoads;
+  this.phrases = localePhrases(this, this.currentLocale);
+  this.compiledPhrases = Object.create(null);
+  cleared.changes.forEach(function (change) {
+    if (change.keys.length > 0) {
+      this.revision += 1;
+      emit(this, 'change', change);
+    }
+  }, this);
+};
+
+// ### polyglot.replace(phrases[, options])
+//
+// Completely replace the existing phrases of a locale with a new set of
+// phrases. Normally, just use `extend` to add more phrases, but under certain
+// circumstances, you may want to make sure no old phrases are lying around.
+// Replaces the phrases of the current locale, unless another one is given
+// with `{locale: "de"}`.
+Polyglot.prototype.replace = function (newPhrases, options) {
+  var locale = (options && options.locale) || this.currentLocale;
+  var cleared = clearPhrases(this, locale);
+  this.phrasesByLocale = cleared.phrasesByLocale;
+  this.namespaceLoads = cleared.namespaceLoads;
+  this.phrases = localePhrases(this, this.currentLocale);
+  this.compiledPhrases = Object.create(null);
+
+  var clearedKeys = cleared.changes[0].keys;
+  var isCleared = {};
+  clearedKeys.forEach(function (key) { isCleared[key] = true; });
+  var addedKeys = addPhrases(this, newPhrases, { locale: locale }).keys;
+  var keys = clearedKeys.concat(addedKeys.filter(function (key) {
+    return !has(isCleared, key);
+  }));
+  if (keys.length > 0) {
+    this.revision += 1;
+    emit(this, 'change', { locale: locale, keys: keys });
+  }
+};
+
+// ### polyglot.load(locale, namespaces)
+//
+// Loads one or more namespaces of phrases for `locale`, with the `loader`
+// option: a function that is called with the locale and a namespace, and
+// returns a promise of the phrases of the namespace. They are added to the
+// locale with the namespace as their prefix, as with `extend`.
+//
+//     var polyglot = new Polyglot({
+//       locale: "de",
+//       loader: function (locale, namespace) {
+//         return fetch("/locales/" + locale + "/" + namespace + ".json")
+//           .then(function (response) { return response.json(); });
+//       }
+//     });
+//
+//     polyglot.load("de", ["checkout", "nav"]).then(function () {
+//       polyglot.t("checkout.pay");
+//       // "Jetzt bezahlen"
+//     });
+//
+// Returns a promise that resolves once every namespace is loaded, and
+// rejects if any of them fails to. Each namespace is only loaded once:
+// loading it again, while it is being loaded or after, returns the same
+// promise, unless it failed or its locale was cleared since. Until then,
+// the keys of the namespace are missing, and `t` hands them to
+// `onMissingKey`. Like a missing `loader`, a locale that is not a string or
+// namespaces that are not a string or an array of strings throw right away,
+// while a loader that resolves to anything but a plain object of phrases
+// rejects with a `TypeError`.
+Polyglot.prototype.load = function (locale, namespaces) {
+  if (!this.loader) {
+    throw new Error('Cannot load phrases without the `loader` option');
+  }
+  if (typeof locale !== 'string') {
+    throw new TypeError('Expected the locale to load to be a string');
+  }
+  var names = typeof namespaces === 'string' ? [namespaces] : namespaces;
+  var isNameList = Array.isArray(names) && names.every(function (namespace) {
+    return typeof namespace === 'string';
+  });
+  if (!isNameList) {
+    throw new TypeError('Expected the namespaces to load to be a string or an array of strings');
+  }
+  var polyglot = this;
+  if (!has(this.namespaceLoads, locale)) {
+    this.namespaceLoads[locale] = {};
+  }
+  var loads = this.namespaceLoads[locale];
+  return Promise.all(names.map(function (namespace) {
+    if (!has(loads, namespace)) {
+      loads[namespace] = new Promise(function (resolve) {
+        resolve(polyglot.loader(locale, namespace));
+      }).then(function (phrases) {
+        if (Object.prototype.toString.call(phrases) !== '[object Object]') {
+          throw new TypeError('Expected the loader to resolve to an object of phrases for '
+            + locale + '/' + namespace);
+        }
+        // Phrases that arrive after their locale was cleared are dropped.
+        if (polyglot.namespaceLoads[locale] === loads) {
+          polyglot.extend(phrases, { locale: locale, prefix: namespace });
+        }
+      }).then(null, function (error) {
+        delete loads[namespace];
+        throw error;
+      });
+    }
+    return loads[namespace];
+  })).then(function () {});
+};
+
+
+// ### polyglot.t(key, options)
+//
+// The most-used method. Provide a key, and `t` will return the
+// phrase.
+//
+//     polyglot.t("hello");
+//     => "Hello"
+//
+// The phrase value is provided first by a call to `polyglot.extend()` or
+// `polyglot.replace()`.
+//
+// Pass in an object as the second argument to perform interpolation.
+//
+//     polyglot.t("hello_name", {name: "Spike"});
+//     => "Hello, Spike"
+//
+// If you like, you can provide a default value in case the phrase is missing.
+// Use the special option key "_" to specify a default.
+//
+//     polyglot.t("i_like_to_write_in_language", {
+//       _: "I like to write in %{language}.",
+//       language: "JavaScript"
+//     });
+//     => "I like to write in JavaScript."
+//
+// Instances created with the `isolate` option wrap interpolated values in
+// Unicode isolation marks, FSI and PDI, so that values written in another
+// direction than the phrase, such as a Latin name in an Arabic phrase, don't
+// reorder the text around them. Pass `isolate: false` (or `true`) to
+// override it for a single call.
+//
+//     polyglot.t("hello_name", {name: "Spike"});
+//     => "مرحبا، \u2068Spike\u2069!"
+//
+// Instances created with the `escape` option HTML-escape the interpolated
+// values, but not the phrase. Pass `escape: false` (or `true`) to override
+// it for a single call.
+//
+//     polyglot.t("hello_name", {name: "<script>"});
+//     => "Hello, &lt;script&gt;"
+//
+// Placeholders with a format, such as `%{price, currency, EUR}`, are
+// formatted for the current locale, with the instance's `formatters` or the
+// built-in `number`, `currency`, `date` and `time` formats.
+//
+// The same word can need different translations in different contexts.
+// Phrases for a context are added with the context appended to their key,
+// after an `@`, and are used when `t` is given that `context`. Without a
+// phrase for the context, the phrase of the key itself is used.
+//
+//     polyglot.extend({"post": "Beitrag", "post@verb": "Veröffentlichen"});
+//     polyglot.t("post", {context: "verb"});
+//     => "Veröffentlichen"
+//     polyglot.t("post", {context: "title"});
+//     => "Beitrag"
+//
+// Phrases missing from the current locale are looked up along its fallback
+// chain before the key counts as missing. The plural rules of whichever
+// locale supplied the phrase are used to transform it.
+//
+//     var polyglot = new Polyglot({
+//       locale: "pt-BR",
+//       defaultLocale: "en",
+//       phrasesByLocale: {
+//         pt: {"hello": "Olá"},
+//         en: {"hello": "Hello", "bye": "Bye"}
+//       }
+//     });
+//     polyglot.t("hello");
+//     => "Olá"
+//     polyglot.t("bye");
+//     => "Bye"
+//
+Polyglot.prototype.t = function (key, options) {
+  return translate(this, key, options, joinPieces);
+};
+
+// ### polyglot.tParts(key, options)
+//
+// Like `t`, but returns the translation as an array of strings and the
+// non-string values of the substitutions, in order, so that view layers can
+// render elements inside translations.
+//
+//     polyglot.extend({"terms": "Read the <link>terms</link>, %{name}."});
+//     polyglot.tParts("terms", {
+//       name: <b>Spike</b>,
+//       link: function (parts) { return <a href="/terms">{parts}</a>; }
+//     });
+//     => ["Read the ", <a href="/terms">terms</a>, ", ", <b>Spike</b>, "."]
+//
+// Tags such as `<link>...</link>` or `<br/>` are replaced by what the
+// function of the same name in the substitutions returns. It is called with
+// the array of parts between the tags. Tags without such a function are
+// left as text, and tags are never looked for in substituted values.
+Polyglot.prototype.tParts = function (key, options) {
+  var result = translate(this, key, options, wrapSubstitutionPieces);
+  return Array.isArray(result) ? result : [result];
+};
+
+// ### polyglot.has(key[, options])
+//
+// Check if polyglot has a translation for given key, in the current locale
+// or along its fallback chain, as `t` would look it up. With a `context`
+// option, the translation can be for the key in that context, or for the
+// key itself.
+Polyglot.prototype.has = function (key, options) {
+  return findPhrase(this, key, options) !== null;
+};
+
+// ### polyglot.scope(prefix)
+//
+// Returns a translator for the keys under `prefix`, whose `t`, `tParts`,
+// `has` and `extend` prefix the keys they are given, and whose `scope`
+// returns a narrower one. It shares everything else with `polyglot`: its
+// phrases, locale, interpolation syntax and plural rules.
+//
+//     var payment = polyglot.scope("checkout.payment");
+//     payment.extend({"pay": "Pay %{total}"});
+//     payment.t("pay", {total: "$5"});
+//     // "Pay $5", the same as polyglot.t("checkout.payment.pay", {total: "$5"})
+Polyglot.prototype.scope = function (prefix) {
+  return new Scope(this, prefix);
+};
+
+// ### polyglot.on(type, listener)
+//
+// Calls `listener` with an event every time the instance emits an event of
+// `type`, and returns a function that stops it:
+//
+//  - `"change"`: `extend`, `unset`, `replace`, `clear` or `load` added,
+//    changed or removed phrases. The event has the `locale` of the phrases
+//    and their `keys`;
+//  - `"localeChange"`: `locale` set another locale. The event has the
+//    `oldLocale` and the `newLocale`;
+//  - `"missingKey"`: `t` or `tParts` found no phrase for a key. The event has
+//    the `key`, the current `locale` and the `options` of the call.
+//
+//     var unsubscribe = polyglot.on("change", function (event) {
+//       console.log(event.locale, event.keys);
+//     });
+//     polyglot.extend({"hello": "Hello"});
+//     // en ["hello"]
+//     unsubscribe();
+//
+// `polyglot.revision` counts the `change` and `localeChange` events, so that
+// it can tell view layers when translations need rendering again, such as
+// the snapshot of React's `useSyncExternalStore`.
+Polyglot.prototype.on = function (type, listener) {
+  if (eventTypes.indexOf(type) === -1) {
+    throw new RangeError('Unknown event type "' + type + '"');
+  }
+  var polyglot = this;
+  var isSubscribed = true;
+  this.listeners[type].push(listener);
+  return function unsubscribe() {
+    if (isSubscribed) {
+      isSubscribed = false;
+      polyglot.off(type, listener);
+    }
+  };
+};
+
+// ### polyglot.off(type, listener)
+//
+// Stops calling `listener` for the events of `type`, as the function that
+// `on` returns does.
+Polyglot.prototype.off = function (type, listener) {
+  var listeners = this.listeners[type] || [];
+  var index = listeners.indexOf(listener);
+  if (index !== -1) {
+    listeners.splice(index, 1);
+  }
+};
+
+// ### polyglot.getMissingReport()
+//
+// Returns the keys that were missing, for instances created with the
+// `reportMissingKeys` option: an entry for each locale and key, in the
+// order they went missing, with the names of the `substitutions` they
+// were translated with, when they were `firstSeen`, and their `count`.
+//
+//     var polyglot = new Polyglot({locale: "de", reportMissingKeys: true});
+//     polyglot.t("checkout.pay", {total: "5 €"});
+//     polyglot.getMissingReport();
+//     // [{
+//     //   locale: "de",
+//     //   key: "checkout.pay",
+//     //   substitutions: ["total"],
+//     //   firstSeen: 1545321600000,
+//     //   count: 1
+//     // }]
+//
+// `reportMissingKeys` can also be an object with a `transport` function,
+// which is called with the new entries in batches of `batchSize`, or after
+// `flushInterval` milliseconds, so that they can be sent to a server. Each
+// entry is sent once.
+Polyglot.prototype.getMissingReport = function () {
+  return this.missingKeyReporter ? this.missingKeyReporter.report() : [];
+};
+
+// ### polyglot.flushMissingKeys()
+//
+// Sends the missing keys that are waiting for a batch to the transport of
+// the `reportMissingKeys` option right away, such as before a page unloads.
+Polyglot.prototype.flushMissingKeys = function () {
+  if (this.missingKeyReporter) {
+    this.missingKeyReporter.flush();
+  }
+};
+
+// ### Polyglot.raw(value)
+//
+// Marks a value as trusted, so that it is inserted as it is, even by
+// instances created with the `escape` option.
+//
+//     var polyglot = new Polyglot({escape: true});
+//     polyglot.t("welcome", {name: "<b>Spike</b>", icon: Polyglot.raw('<img src="hi.png">')});
+Polyglot.raw = function raw(value) {
+  return new RawValue(value);
+};
+
+// ### Polyglot.direction(locale)
+//
+// Returns the direction of `locale`, `"rtl"` or `"ltr"`. A script subtag
+// takes precedence over the language.
+//
+//     Polyglot.direction('ar-EG');
+//     // "rtl"
+//     Polyglot.direction('az-Arab');
+//     // "rtl"
+Polyglot.direction = function (locale) {
+  return localeDirection(locale || 'en');
+};
+
+// ### Polyglot.pluralCategories(locale)
+//
+// Returns the CLDR plural categories that `locale` uses, in the order that
+// unlabeled phrase variants are expected in.
+//
+//     Polyglot.pluralCategories('ru');
+//     // ["one", "few", "many", "other"]
+Polyglot.pluralCategories = function (locale) {
+  return localePluralCategories(locale || 'en').slice();
+};
+
+// ### Polyglot.pluralVariantCount(locale[, pluralRules])
+//
+// Returns the number of `||||` separated variants that phrases with plural
+// forms should have in `locale`, with the default or the given plural rules.
+//
+//     Polyglot.pluralVariantCount('ru');
+//     // 3
+Polyglot.pluralVariantCount = function (locale, pluralRules) {
+  return pluralVariantCount(pluralRules || defaultPluralRules, locale || 'en');
+};
+
+// ### Polyglot.pluralTypeName(locale[, pluralRules])
+//
+// Returns the name of the plural type, from `pluralTypeToLanguages`, that
+// chooses the variants of phrases in `locale`, or `undefined` for the
+// locales whose variants follow their CLDR plural categories instead.
+//
+//     Polyglot.pluralTypeName('ru-RU');
+//     // "russian"
+Polyglot.pluralTypeName = function (locale, pluralRules) {
+  var rules = pluralRules || defaultPluralRules;
+  var localeOrDefault = locale || 'en';
+  if (listedPluralTypeName(rules, localeOrDefault)
+    || !listedPluralTypeName(cldrPluralRules, localeOrDefault)) {
+    return pluralTypeName(rules, localeOrDefault);
+  }
+  return undefined;
+};
+
+// ### Polyglot.phraseRenderer(parsed) and Polyglot.messageRenderer(nodes)
+//
+// Build the render functions of parsed Polyglot phrases and ICU messages.
+// Used by the compilers, and by the modules of phrases compiled ahead of
+// time by `compiler.js`, which can be loaded with `extend` like any phrases.
+Polyglot.phraseRenderer = phraseRenderer;
+Polyglot.messageRenderer = messageRenderer;
+
+// The compilers of phrases by message format, registered by `index.js`.
+Polyglot.compilers = compilers;
+
+// export transformPhrase
+Polyglot.transformPhrase = function transform(phrase, substitutions, locale) {
+  return transformPhrase(phrase, substitutions, locale);
+};
+
+// export transformMessage
+Polyglot.transformMessage = function transform(message, substitutions, locale) {
+  return transformMessage(message, substitutions, locale);
+};
+
+module.exports = Polyglot;
@@ -0,0 +1,73 @@
+'use strict';
+
+var Polyglot = require('../');
+var expect = require('chai').expect;
+
+// Returns the average time, in microseconds, that `fn` takes.
+function measure(fn) {
+  var iterations = 20000;
+  var i;
+  for (i = 0; i < 1000; i += 1) {
+    fn(i);
+  }
+  var start = process.hrtime();
+  for (i = 0; i < iterations; i += 1) {
+    fn(i);
+  }
+  var elapsed = process.hrtime(start);
+  return ((elapsed[0] * 1e9) + elapsed[1]) / iterations / 1e3;
+}
+
+function report(name, compiled, uncompiled) {
+  process.stdout.write(
+    '      ' + name + ': ' + compiled.toFixed(2) + 'µs compiled, '
+    + uncompiled.toFixed(2) + 'µs uncompiled ('
+    + (uncompiled / compiled).toFixed(1) + 'x)\n'
+  );
+}
+
+describe('benchmarks', function () {
+  this.timeout(30000);
+
+  var phrases = {
+    cars: '%{smart_count} машина |||| %{smart_count} машины |||| %{smart_count} машин',
+    hello: 'Hello, %{name}! You have %{count} new messages.',
+    invited: '[gender:female] %{name} invited you |||| [gender:male] %{name} invited you |||| [gender:other] %{name} invited you'
+  };
+  var polyglot = new Polyglot({ locale: 'ru', phrases: phrases });
+
+  it('translates plural phrases faster once compiled', function () {
+    var compiled = measure(function (i) {
+      polyglot.t('cars', i);
+    });
+    var uncompiled = measure(function (i) {
+      Polyglot.transformPhrase(phrases.cars, i, 'ru');
+    });
+    report('plural', compiled, uncompiled);
+    expect(compiled).to.be.below(uncompiled);
+  });
+
+  it('interpolates phrases faster once compiled', function () {
+    var substitutions = { name: 'Spike', count: 3 };
+    var compiled = measure(function () {
+      polyglot.t('hello', substitutions);
+    });
+    var uncompiled = measure(function () {
+      Polyglot.transformPhrase(phrases.hello, substitutions, 'ru');
+    });
+    report('interpolation', compiled, uncompiled);
+    expect(compiled).to.be.below(uncompiled);
+  });
+
+  it('selects variants faster once compiled', function () {
+    var substitutions = { name: 'Spike', gender: 'male' };
+    var compiled = measure(function () {
+      polyglot.t('invited', substitutions);
+    });
+    var uncompiled = measure(function () {
+      Polyglot.transformPhrase(phrases.invited, substitutions, 'ru');
+    });
+    report('select', compiled, uncompiled);
+    expect(compiled).to.be.below(uncompiled);
+  });
+});
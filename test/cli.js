@@ -0,0 +1,252 @@
+'use strict';
+
+var cli = require('../cli');
+var expect = require('chai').expect;
+var path = require('path');
+var childProcess = require('child_process');
+
+// Runs the command on in-memory files, and returns its exit code and output.
+function run(args, files) {
+  var output = { stdout: '', stderr: '' };
+  output.code = cli.run(args, {
+    stdout: { write: function (text) { output.stdout += text; } },
+    stderr: { write: function (text) { output.stderr += text; } },
+    readFile: function (file) {
+      if (!Object.prototype.hasOwnProperty.call(files, file)) {
+        throw new Error('ENOENT: no such file');
+      }
+      return files[file];
+    }
+  });
+  return output;
+}
+
+describe('polyglot command', function () {
+  var files = {
+    'en.json': JSON.stringify({
+      hello: 'Hello, %{name}!',
+      cars: '%{smart_count} car |||| %{smart_count} cars',
+      nav: { home: 'Home', about: 'About' }
+    }),
+    'ru.json': JSON.stringify({
+      hello: 'Привет!',
+      cars: '%{smart_count} машина |||| %{smart_count} машины',
+      'nav.home': 'Главная',
+      bye: 'Пока'
+    }),
+    'de.json': JSON.stringify({
+      hello: 'Hallo, %{name}!',
+      cars: '%{smart_count} Auto |||| %{smart_count} Autos',
+      nav: { home: 'Start', about: 'Über uns' }
+    }),
+    'phrases.json': JSON.stringify({ hello: 'Hello, %{name' }),
+    'broken.json': '{"hello": ',
+    'list.json': '["hello"]'
+  };
+
+  describe('lint', function () {
+    it('reports the problems of each file, and exits with 1', function () {
+      var result = run(['lint', 'ru.json', 'phrases.json'], files);
+      expect(result.code).to.equal(1);
+      expect(result.stdout).to.equal([
+        'ru.json: cars:0: Expected 3 plural variants for the locale, found 2 [plural-count]',
+        'phrases.json: hello:7: The placeholder at 7 is not closed with "}" [unclosed-placeholder]',
+        '2 problems found',
+        ''
+      ].join('\n'));
+    });
+
+    it('exits with 0 without problems', function () {
+      var result = run(['lint', 'de.json'], files);
+      expect(result.code).to.equal(0);
+      expect(result.stdout).to.equal('No problems found\n');
+    });
+
+    it('uses the locale option over the name of the file', function () {
+      expect(run(['lint', 'ru.json', '--locale', 'en'], files).code).to.equal(0);
+      expect(run(['lint', 'de.json', '--locale=ru'], files).code).to.equal(1);
+    });
+
+    it('uses the interpolation and message format options', function () {
+      var icu = { 'en.json': '{"photos": "{count, plural, one {#}"}' };
+      expect(run(['lint', 'phrases.json', '--prefix', '{{', '--suffix', '}}'], files).code).to.equal(0);
+      expect(run(['lint', 'en.json', '--message-format', 'icu'], icu).stdout).to.contain('[malformed-message]');
+    });
+
+    it('outputs json', function () {
+      var result = run(['lint', '--format', 'json', 'ru.json'], files);
+      expect(result.code).to.equal(1);
+      expect(JSON.parse(result.stdout)).to.deep.equal({
+        results: [{
+          file: 'ru.json',
+          locale: 'ru',
+          diagnostics: [{
+            key: 'cars',
+            problem: 'plural-count',
+            position: 0,
+            message: 'Expected 3 plural variants for the locale, found 2'
+          }]
+        }]
+      });
+    });
+  });
+
+  describe('diff', function () {
+    it('reports the differences of each target with the source, and exits with 1', function () {
+      var result = run(['diff', 'en.json', 'ru.json', 'de.json'], files);
+      expect(result.code).to.equal(1);
+      expect(result.stdout).to.equal([
+        'ru.json: hello: The placeholder "name" is missing from the translation [missing-placeholder]',
+        'ru.json: cars: Expected 3 plural variants for the locale, found 2 [plural-count]',
+        'ru.json: nav.about: The key is not translated [missing-key]',
+        'ru.json: bye: The key is not in the source phrases [extra-key]',
+        '4 problems found',
+        ''
+      ].join('\n'));
+    });
+
+    it('exits with 0 without differences', function () {
+      expect(run(['diff', 'en.json', 'de.json'], files).code).to.equal(0);
+    });
+
+    it('outputs json', function () {
+      var results = JSON.parse(run(['diff', 'en.json', 'ru.json', '--format=json'], files).stdout).results;
+      expect(results).to.have.lengthOf(1);
+      expect(results[0].source).to.equal('en.json');
+      expect(results[0].locale).to.equal('ru');
+      expect(results[0].diagnostics[0]).to.deep.equal({
+        key: 'hello',
+        problem: 'missing-placeholder',
+        message: 'The placeholder "name" is missing from the translation',
+        placeholder: 'name'
+      });
+    });
+  });
+
+  describe('stats', function () {
+    it('reports the coverage of each target', function () {
+      var result = run(['stats', 'en.json', 'ru.json', 'de.json'], files);
+      expect(result.code).to.equal(0);
+      expect(result.stdout).to.equal([
+        'ru.json: 75% (3/4 keys translated, 1 missing, 1 extra)',
+        'de.json: 100% (4/4 keys translated, 0 missing, 0 extra)',
+        ''
+      ].join('\n'));
+    });
+
+    it('outputs json', function () {
+      expect(JSON.parse(run(['stats', 'en.json', 'ru.json', '--format', 'json'], files).stdout)).to.deep.equal({
+        results: [{
+          source: 'en.json',
+          file: 'ru.json',
+          locale: 'ru',
+          total: 4,
+          translated: 3,
+          missing: 1,
+          extra: 1,
+          coverage: 75
+        }]
+      });
+    });
+  });
+
+  describe('extract', function () {
+    var sources = {
+      'app.js': 'polyglot.t("hello", { _: "Hello, %{name}!" });\npolyglot.t("nav.home");',
+      'page.jsx': '<p>{i18n.t("nav.contact")}</p>',
+      'en.json': files['en.json']
+    };
+
+    it('writes the skeleton of the phrases of the files', function () {
+      var result = run(['extract', 'app.js', 'page.jsx'], sources);
+      expect(result.code).to.equal(0);
+      expect(JSON.parse(result.stdout)).to.deep.equal({
+        hello: 'Hello, %{name}!',
+        'nav.home': '',
+        'nav.contact': ''
+      });
+    });
+
+    it('extracts the calls of the given functions', function () {
+      var result = run(['extract', 'app.js', 'page.jsx', '--function', 'i18n.t'], sources);
+      expect(JSON.parse(result.stdout)).to.deep.equal({ 'nav.contact': '' });
+    });
+
+    it('reports undefined and unused keys, and exits with 1', function () {
+      var result = run(['extract', 'app.js', 'page.jsx', '--bundle', 'en.json'], sources);
+      expect(result.code).to.equal(1);
+      expect(result.stdout).to.equal([
+        'page.jsx:1:10: The key "nav.contact" is not defined in any bundle [missing-key]',
+        'en.json: cars: The key is not used in the code [unused-key]',
+        'en.json: nav.about: The key is not used in the code [unused-key]',
+        '3 problems found',
+        ''
+      ].join('\n'));
+    });
+
+    it('outputs json', function () {
+      var results = JSON.parse(run(['extract', 'app.js', '--bundle', 'en.json', '--format', 'json'], sources).stdout).results;
+      expect(results.skeleton).to.deep.equal({ hello: 'Hello, %{name}!', 'nav.home': '' });
+      expect(results.usages).to.have.lengthOf(2);
+      expect(results.missing).to.deep.equal([]);
+      expect(results.unused).to.deep.equal([{ file: 'en.json', keys: ['cars', 'nav.about'] }]);
+    });
+  });
+
+  describe('errors', function () {
+    it('exits with 2 for files that cannot be read', function () {
+      var missing = run(['lint', 'fr.json'], files);
+      expect(missing.code).to.equal(2);
+      expect(missing.stderr).to.equal('polyglot: Cannot read fr.json: ENOENT: no such file\n');
+      expect(run(['lint', 'broken.json'], files).stderr).to.contain('polyglot: Cannot parse broken.json');
+      expect(run(['lint', 'list.json'], files).stderr).to.equal('polyglot: Expected list.json to contain an object of phrases\n');
+    });
+
+    it('exits with 2 and shows the usage for wrong arguments', function () {
+      [
+        [],
+        ['frob'],
+        ['lint'],
+        ['diff', 'en.json'],
+        ['stats', 'en.json'],
+        ['extract'],
+        ['extract', 'app.js', '--bundle'],
+        ['lint', 'en.json', '--frob'],
+        ['lint', 'en.json', '--locale'],
+        ['lint', 'en.json', '--format', 'xml'],
+        ['lint', 'en.json', '--message-format', 'fluent'],
+        ['lint', 'en.json', '--prefix', '||||'],
+        ['lint', 'en.json', '--suffix=||||']
+      ].forEach(function (args) {
+        var result = run(args, files);
+        expect(result.code).to.equal(2);
+        expect(result.stderr).to.contain('Usage: polyglot <command> [options]');
+      });
+    });
+
+    it('reports errors as json', function () {
+      var result = run(['lint', 'fr.json', '--format', 'json'], files);
+      expect(result.code).to.equal(2);
+      expect(JSON.parse(result.stdout)).to.deep.equal({ error: 'Cannot read fr.json: ENOENT: no such file' });
+
+      var invalid = run(['lint', 'en.json', '--prefix', '||||', '--format', 'json'], files);
+      expect(invalid.code).to.equal(2);
+      expect(JSON.parse(invalid.stdout)).to.deep.equal({
+        error: 'Invalid --prefix or --suffix: "||||" token is reserved for pluralization'
+      });
+    });
+  });
+
+  it('shows the usage', function () {
+    var result = run(['--help'], files);
+    expect(result.code).to.equal(0);
+    expect(result.stdout).to.contain('Usage: polyglot <command> [options]');
+  });
+
+  it('is installed as a binary that sets the exit code', function () {
+    var bin = path.join(__dirname, '..', 'bin', 'polyglot.js');
+    var result = childProcess.spawnSync(process.execPath, [bin, 'lint', 'missing.json'], { encoding: 'utf8' });
+    expect(result.status).to.equal(2);
+    expect(result.stderr).to.contain('polyglot: Cannot read missing.json');
+  });
+});
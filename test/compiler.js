@@ -0,0 +1,168 @@
+'use strict';
+
+var Polyglot = require('../');
+var Runtime = require('../runtime');
+var compiler = require('../compiler');
+var expect = require('chai').expect;
+var path = require('path');
+var vm = require('vm');
+var childProcess = require('child_process');
+
+// Evaluates the source of a compiled CommonJS module, with the runtime of
+// this repository.
+function load(source) {
+  var module = { exports: {} };
+  var requireRuntime = function (id) {
+    expect(id).to.equal('node-polyglot/runtime');
+    return Runtime;
+  };
+  vm.runInNewContext(source, { require: requireRuntime, module: module, exports: module.exports });
+  return module.exports;
+}
+
+describe('compiler', function () {
+  var phrases = {
+    hello: 'Hello, %{name}!',
+    cars: '%{smart_count} машина |||| %{smart_count} машины |||| %{smart_count} машин',
+    nav: {
+      home: 'Home',
+      invited: '[gender:female] %{name} invited you to her party |||| [gender:other] %{name} invited you to their party'
+    },
+    price: 'Total: %{price, currency, EUR}',
+    terms: 'Read the <link>terms</link>.'
+  };
+
+  it('compiles phrases into render functions for every key, in the same shape', function () {
+    var compiled = load(compiler.compile(phrases));
+    expect(Object.keys(compiled)).to.deep.equal(['hello', 'cars', 'nav', 'price', 'terms']);
+    expect(compiled.hello).to.be.a('function');
+    expect(compiled.nav.home).to.be.a('function');
+    expect(compiled.nav.invited).to.be.a('function');
+  });
+
+  it('translates compiled phrases like their source', function () {
+    var source = new Polyglot({ locale: 'ru', phrases: phrases });
+    var compiled = new Runtime({ locale: 'ru', phrases: load(compiler.compile(phrases)) });
+    var link = function (parts) { return { type: 'a', children: parts }; };
+
+    expect(compiled.t('hello', { name: 'Spike' })).to.equal(source.t('hello', { name: 'Spike' }));
+    [1, 2, 5, 21].forEach(function (count) {
+      expect(compiled.t('cars', count)).to.equal(source.t('cars', count));
+    });
+    expect(compiled.t('nav.home')).to.equal('Home');
+    expect(compiled.t('nav.invited', { name: 'Ann', gender: 'female' })).to.equal('Ann invited you to her party');
+    expect(compiled.t('price', { price: 5 })).to.equal(source.t('price', { price: 5 }));
+    expect(compiled.tParts('terms', { link: link })).to.deep.equal(source.tParts('terms', { link: link }));
+    expect(compiled.has('nav.home')).to.equal(true);
+  });
+
+  it('keeps the escape option working', function () {
+    var compiled = new Runtime({ escape: true, phrases: load(compiler.compile(phrases)) });
+    expect(compiled.t('hello', { name: '<b>' })).to.equal('Hello, &lt;b&gt;!');
+  });
+
+  it('compiles ICU messages', function () {
+    var messages = { photos: '{count, plural, one {# photo} other {# photos}}' };
+    var compiled = new Runtime({
+      messageFormat: 'icu',
+      phrases: load(compiler.compile(messages, { messageFormat: 'icu' }))
+    });
+    expect(compiled.t('photos', { count: 1 })).to.equal('1 photo');
+    expect(compiled.t('photos', { count: 1000 })).to.equal('1,000 photos');
+  });
+
+  it('compiles phrases with custom interpolation syntax', function () {
+    var compiled = new Runtime({
+      phrases: load(compiler.compile({ hello: 'Hello, {{name}}!' }, { interpolation: { prefix: '{{', suffix: '}}' } }))
+    });
+    expect(compiled.t('hello', { name: 'Spike' })).to.equal('Hello, Spike!');
+  });
+
+  it('requires the given runtime', function () {
+    var source = compiler.compile({ hello: 'Hello' }, { runtime: '../runtime' });
+    expect(source).to.contain('require("../runtime")');
+  });
+
+  it('outputs ES modules', function () {
+    var source = compiler.compile({ hello: 'Hello' }, { module: 'esm' });
+    expect(source).to.contain('import Polyglot from "node-polyglot/runtime";');
+    expect(source).to.contain('export default {');
+    expect(source).not.to.contain('require(');
+  });
+
+  it('throws syntax errors with the key and position of malformed phrases', function () {
+    var error;
+    try {
+      compiler.compile({ photos: { one: '{count, plural, one {#}' } }, { messageFormat: 'icu' });
+    } catch (e) {
+      error = e;
+    }
+    expect(error).to.be.an.instanceof(SyntaxError);
+    expect(error.message).to.contain('Malformed phrase for key "photos.one"');
+    expect(error.key).to.equal('photos.one');
+    expect(error.position).to.equal(23);
+  });
+
+  it('throws syntax errors for malformed Polyglot phrases', function () {
+    var error;
+    try {
+      compiler.compile({ greetings: { hello: 'Hello %{name' }, cars: 'x |||| |||| y' });
+    } catch (e) {
+      error = e;
+    }
+    expect(error).to.be.an.instanceof(SyntaxError);
+    expect(error.message).to.equal('Malformed phrase for key "greetings.hello": The placeholder at 6 is not closed with "}"');
+    expect(error.key).to.equal('greetings.hello');
+    expect(error.position).to.equal(6);
+
+    expect(function () { compiler.compile({ cars: 'x |||| |||| y' }); }).to.throw(SyntaxError, 'The variant at 6 is empty');
+    expect(function () {
+      compiler.compile({ hello: 'Hello {{}}' }, { interpolation: { prefix: '{{', suffix: '}}' } });
+    }).to.throw(SyntaxError, 'has no name');
+  });
+
+  it('compiles phrases whose problems depend on the locale', function () {
+    expect(function () {
+      compiler.compile({ cars: 'one |||| few |||| many', link: '$t(missing)', n: '[two] two |||| [other] other' });
+    }).not.to.throw();
+  });
+
+  it('throws for phrases that are not strings, and for unknown options', function () {
+    expect(function () { compiler.compile({ count: 1 }); }).to.throw(TypeError, 'Expected the phrase for key "count" to be a string');
+    expect(function () { compiler.compile({}, { messageFormat: 'fluent' }); }).to.throw(RangeError);
+    expect(function () { compiler.compile({}, { module: 'amd' }); }).to.throw(RangeError);
+  });
+
+  it('escapes line and paragraph separators', function () {
+    var source = compiler.compile({ text: 'a\u2028b\u2029c' });
+    expect(source).not.to.match(/[\u2028\u2029]/);
+    expect(load(source).text({})).to.deep.equal([{ text: 'a\u2028b\u2029c' }]);
+  });
+});
+
+describe('runtime', function () {
+  var root = path.join(__dirname, '..');
+
+  // Runs `script` in a fresh process, where only the runtime is loaded.
+  function run(script) {
+    return childProcess.execFileSync(process.execPath, ['-e', script], { cwd: root, encoding: 'utf8' });
+  }
+
+  it('does not load the parsers', function () {
+    var modules = JSON.parse(run('require("./runtime"); console.log(JSON.stringify(Object.keys(require.cache)));'));
+    var loaded = modules.map(function (file) { return path.relative(root, file); });
+    expect(loaded).to.include('runtime.js');
+    expect(loaded).not.to.include(path.join('lib', 'phrase-parser.js'));
+    expect(loaded).not.to.include(path.join('lib', 'icu-message-format.js'));
+  });
+
+  it('warns about phrases that are not compiled, and returns them untouched', function () {
+    var output = run([
+      'var Polyglot = require("./runtime");',
+      'var warnings = [];',
+      'var polyglot = new Polyglot({ phrases: { hello: "Hello, %{name}" }, warn: function (w) { warnings.push(w); } });',
+      'console.log(JSON.stringify([polyglot.t("hello", { name: "Spike" }), warnings.length]));'
+    ].join('\n'));
+    expect(JSON.parse(output)).to.deep.equal(['Hello, %{name}', 1]);
+  });
+});
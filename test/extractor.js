@@ -0,0 +1,171 @@
+'use strict';
+
+var extractor = require('../extractor');
+var expect = require('chai').expect;
+
+describe('extractor', function () {
+  function keys(source, options) {
+    return extractor.extract(source, options).map(function (usage) { return usage.key; });
+  }
+
+  // The `${code}` expression of a template literal.
+  function interpolated(code) {
+    return '${' + code + '}';
+  }
+
+  describe('extract', function () {
+    it('extracts the keys of t calls, with their default phrase and location', function () {
+      var source = [
+        'var polyglot = new Polyglot();',
+        'polyglot.t("hello");',
+        '  t(\'nav.home\', { _: "Home", smart_count: 1 });'
+      ].join('\n');
+      expect(extractor.extract(source, { file: 'app.js' })).to.deep.equal([
+        {
+          key: 'hello', file: 'app.js', line: 2, column: 10
+        },
+        {
+          key: 'nav.home', defaultPhrase: 'Home', file: 'app.js', line: 3, column: 3
+        }
+      ]);
+    });
+
+    it('extracts the keys of tParts calls', function () {
+      expect(keys('polyglot.tParts("terms", { link: link });')).to.deep.equal(['terms']);
+    });
+
+    it('reads string literals of every kind', function () {
+      expect(extractor.extract([
+        't(\'it\\\'s\', {_: "a \\"b\\" " + \'c\'});',
+        't("caf\\u00e9");',
+        't(`template`, {_: `Hi`});',
+        't(`tpl.' + interpolated('name') + '`);'
+      ].join('\n')).map(function (usage) {
+        return [usage.key, usage.defaultPhrase];
+      })).to.deep.equal([
+        ['it\'s', 'a "b" c'],
+        ['café', undefined],
+        ['template', 'Hi']
+      ]);
+    });
+
+    it('extracts the keys of calls inside template expressions', function () {
+      var source = [
+        'var label = `' + interpolated('t("label")') + ': ' + interpolated('count') + '`;',
+        'var nested = `a ' + interpolated('b ? `' + interpolated('polyglot.t("nested", { _: "}" })') + '` : {}["c"]') + ' d`;',
+        't("after");'
+      ].join('\n');
+      expect(extractor.extract(source)).to.deep.equal([
+        { key: 'label', line: 1, column: 16 },
+        {
+          key: 'nested', defaultPhrase: '}', line: 2, column: 35
+        },
+        { key: 'after', line: 3, column: 1 }
+      ]);
+    });
+
+    it('extracts the keys of calls with TypeScript type arguments', function () {
+      var source = 't<string>("a"); polyglot.tParts<Array<string | Node>>("b"); if (a < b > (c)) {}';
+      expect(extractor.extract(source)).to.deep.equal([
+        { key: 'a', line: 1, column: 1 },
+        { key: 'b', line: 1, column: 26 }
+      ]);
+    });
+
+    it('only reads the default phrase of the options object itself', function () {
+      var usages = extractor.extract('t("a", { nested: { _: "no" }, count: f(_), _: "yes" }); t("b", { x: { _: "no" } });');
+      expect(usages[0].defaultPhrase).to.equal('yes');
+      expect(usages[1]).not.to.have.property('defaultPhrase');
+    });
+
+    it('reads a literal context', function () {
+      var usages = extractor.extract('t("post", { context: "verb" }); t("post", { context: kind }); t("post", { context: "" });');
+      expect(usages[0].context).to.equal('verb');
+      expect(usages[1]).not.to.have.property('context');
+      expect(usages[2]).not.to.have.property('context');
+    });
+
+    it('skips calls without a literal key, declarations, comments and regular expressions', function () {
+      expect(keys([
+        'function t(key) { return key; }',
+        't(key);',
+        '// t("commented")',
+        '/* polyglot.t("block") */',
+        'var re = /t\\("regex"\\)/g;',
+        'var ratio = a / b / t("division");',
+        'polyglot.translate("other");'
+      ].join('\n'))).to.deep.equal(['division']);
+    });
+
+    it('extracts keys from JSX and TypeScript', function () {
+      var source = [
+        'export function App({ polyglot }: { polyglot: Polyglot }): JSX.Element {',
+        '  const title: string = polyglot.t("app.title", { _: "My app" });',
+        '  return (',
+        '    <div title={title}>',
+        '      <p>Don\'t {polyglot.t("app.warning")}</p>',
+        '      <Trans>{this.polyglot?.t("app.optional")}</Trans>',
+        '      <br />',
+        '    </div>',
+        '  );',
+        '}'
+      ].join('\n');
+      expect(keys(source)).to.deep.equal(['app.title', 'app.warning', 'app.optional']);
+    });
+
+    it('extracts the calls of the given functions', function () {
+      var source = 'i18n.t("a"); polyglot.t("b"); translate("c"); t("d");';
+      expect(keys(source, { functions: ['i18n.t', 'translate'] })).to.deep.equal(['a', 'c']);
+    });
+  });
+
+  describe('skeleton', function () {
+    it('builds phrases out of the usages, with their default phrases', function () {
+      var usages = extractor.extract('t("bye"); t("hello"); t("bye", {_: "Bye!"}); t("hello", {_: "Hi"})');
+      expect(extractor.skeleton(usages)).to.deep.equal({ bye: 'Bye!', hello: 'Hi' });
+    });
+
+    it('adds the keys of usages with a context in that context', function () {
+      var usages = extractor.extract('t("post", { context: "verb", _: "Publish" }); t("post");');
+      expect(extractor.skeleton(usages)).to.deep.equal({ 'post@verb': 'Publish', post: '' });
+    });
+  });
+
+  describe('report', function () {
+    var usages = extractor.extract('t("nav.home"); t("nav.about"); t("hello");', { file: 'app.js' });
+
+    it('reports the unused keys of each bundle and the keys that no bundle defines', function () {
+      var en = { nav: { home: 'Home', old: 'Old' }, hello: 'Hello' };
+      var de = { 'nav.home': 'Start', bye: 'Tschüss' };
+      expect(extractor.report(usages, [en, de])).to.deep.equal({
+        unused: [['nav.old'], ['bye']],
+        missing: [{
+          key: 'nav.about', file: 'app.js', line: 1, column: 16
+        }]
+      });
+    });
+
+    it('counts the keys of a context as used, and falls back to the key itself', function () {
+      var contextUsages = extractor.extract('t("post", { context: "verb" }); t("share", { context: "noun" });');
+      var bundle = {
+        post: 'Post', 'post@verb': 'Publish', 'post@title': 'Posts', 'share@noun': 'Share'
+      };
+      expect(extractor.report(contextUsages, bundle)).to.deep.equal({
+        unused: [['post@title']],
+        missing: []
+      });
+      expect(extractor.report(contextUsages, { post: 'Post' }).missing).to.have.length(1);
+    });
+
+    it('counts the keys that bundle phrases reference as used', function () {
+      var bundle = {
+        brand: 'Acme', nav: { home: 'Home' }, hello: 'Welcome to $t(brand) and $t( nav.home )', old: 'Old'
+      };
+      expect(extractor.report(usages, bundle).unused).to.deep.equal([['old']]);
+    });
+
+    it('accepts a single bundle', function () {
+      expect(extractor.report(usages, { hello: 'Hello' }).unused).to.deep.equal([[]]);
+    });
+  });
+});
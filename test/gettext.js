@@ -0,0 +1,214 @@
+'use strict';
+
+var Polyglot = require('../');
+var gettext = require('../gettext');
+var expect = require('chai').expect;
+var vm = require('vm');
+
+describe('gettext', function () {
+  var en = {
+    nav: { home: 'Home', about: 'About us' },
+    hello: 'Hello, %{name}!',
+    cars: '%{smart_count} car |||| %{smart_count} cars'
+  };
+  var ru = {
+    nav: { home: 'Главная' },
+    hello: 'Привет, %{name}!',
+    cars: '%{smart_count} машина |||| %{smart_count} машины |||| %{smart_count} машин'
+  };
+
+  describe('toPO', function () {
+    it('writes an entry for every key of the source, with the key as msgctxt', function () {
+      expect(gettext.toPO(ru, { locale: 'ru', source: en })).to.equal([
+        'msgid ""',
+        'msgstr ""',
+        '"Language: ru\\n"',
+        '"MIME-Version: 1.0\\n"',
+        '"Content-Type: text/plain; charset=UTF-8\\n"',
+        '"Content-Transfer-Encoding: 8bit\\n"',
+        '"Plural-Forms: nplurals=3; plural=(n%10==1 && n%100!=11 ? 0 : n%10>=2 && n%10<=4 && (n%100<10 || n%100>=20) ? 1 : 2);\\n"',
+        '',
+        'msgctxt "nav.home"',
+        'msgid "Home"',
+        'msgstr "Главная"',
+        '',
+        'msgctxt "nav.about"',
+        'msgid "About us"',
+        'msgstr ""',
+        '',
+        'msgctxt "hello"',
+        'msgid "Hello, %{name}!"',
+        'msgstr "Привет, %{name}!"',
+        '',
+        'msgctxt "cars"',
+        'msgid "%{smart_count} car"',
+        'msgid_plural "%{smart_count} cars"',
+        'msgstr[0] "%{smart_count} машина"',
+        'msgstr[1] "%{smart_count} машины"',
+        'msgstr[2] "%{smart_count} машин"',
+        ''
+      ].join('\n'));
+    });
+
+    it('uses the phrases as their own source', function () {
+      var po = gettext.toPO({ hello: 'Hello' });
+      expect(po).to.contain('"Language: en\\n"');
+      expect(po).to.contain('"Plural-Forms: nplurals=2; plural=(n != 1);\\n"');
+      expect(po).to.contain('msgctxt "hello"\nmsgid "Hello"\nmsgstr "Hello"');
+    });
+
+    it('writes as many plural variants as the locale has', function () {
+      var po = gettext.toPO({ cars: '%{smart_count} 辆车' }, { locale: 'zh', source: { cars: en.cars } });
+      expect(po).to.contain('"Plural-Forms: nplurals=1; plural=0;\\n"');
+      expect(po).to.contain('msgid_plural "%{smart_count} cars"\nmsgstr[0] "%{smart_count} 辆车"\n');
+      expect(gettext.toPO({}, { locale: 'ru', source: { cars: en.cars } })).to.contain([
+        'msgstr[0] ""',
+        'msgstr[1] ""',
+        'msgstr[2] ""'
+      ].join('\n'));
+    });
+
+    it('keeps labeled variants in a single msgstr', function () {
+      var phrase = '[gender:female] She |||| [gender:other] They';
+      expect(gettext.toPO({ invited: phrase })).to.contain('msgid "' + phrase + '"\nmsgstr "' + phrase + '"');
+    });
+
+    it('escapes strings, and splits them at line breaks', function () {
+      expect(gettext.toPO({ text: 'Say "hi"\\\tnow\nand later' })).to.contain([
+        'msgid ""',
+        '"Say \\"hi\\"\\\\\\tnow\\n"',
+        '"and later"'
+      ].join('\n'));
+    });
+
+    it('writes the given Plural-Forms and headers', function () {
+      var po = gettext.toPO({}, {
+        locale: 'cy',
+        pluralForms: 'nplurals=6; plural=(n==0 ? 0 : n==1 ? 1 : n==2 ? 2 : n==3 ? 3 : n==6 ? 4 : 5);',
+        headers: { 'Project-Id-Version': 'app 1.0' }
+      });
+      expect(po).to.contain('"Plural-Forms: nplurals=6; plural=(n==0 ? 0 : n==1 ? 1 : n==2 ? 2 : n==3 ? 3 : n==6 ? 4 : 5);\\n"');
+      expect(po).to.contain('"Project-Id-Version: app 1.0\\n"');
+      expect(gettext.toPO({}, { locale: 'cy' })).not.to.contain('Plural-Forms');
+    });
+
+    it('writes Plural-Forms that choose the same variants as Polyglot', function () {
+      ['ar', 'bs-Latn-BA', 'zh', 'hr', 'fr', 'de', 'ru', 'lt', 'cs', 'pl', 'is', 'sl-SL'].forEach(function (locale) {
+        var header = /Plural-Forms: nplurals=(\d+); plural=(.*);\\n/.exec(gettext.toPO({}, { locale: locale }));
+        var plural = vm.runInNewContext('(function (n) { return Number(' + header[2] + '); })');
+        var variants = [];
+        for (var i = 0; i < Number(header[1]); i += 1) {
+          variants.push(String(i));
+        }
+        expect(Number(header[1])).to.equal(Polyglot.pluralVariantCount(locale));
+        for (var n = 0; n <= 200; n += 1) {
+          expect(String(plural(n))).to.equal(Polyglot.transformPhrase(variants.join(' |||| '), n, locale), locale + ' ' + n);
+        }
+      });
+    });
+  });
+
+  describe('toPOT', function () {
+    it('writes a template with empty translations', function () {
+      expect(gettext.toPOT({ nav: { home: 'Home' }, cars: en.cars })).to.equal([
+        'msgid ""',
+        'msgstr ""',
+        '"MIME-Version: 1.0\\n"',
+        '"Content-Type: text/plain; charset=UTF-8\\n"',
+        '"Content-Transfer-Encoding: 8bit\\n"',
+        '"Plural-Forms: nplurals=INTEGER; plural=EXPRESSION;\\n"',
+        '',
+        'msgctxt "nav.home"',
+        'msgid "Home"',
+        'msgstr ""',
+        '',
+        'msgctxt "cars"',
+        'msgid "%{smart_count} car"',
+        'msgid_plural "%{smart_count} cars"',
+        'msgstr[0] ""',
+        'msgstr[1] ""',
+        ''
+      ].join('\n'));
+    });
+  });
+
+  describe('fromPO', function () {
+    it('round-trips phrases', function () {
+      var po = gettext.toPO(ru, { locale: 'ru', source: en });
+      expect(gettext.fromPO(po)).to.deep.equal({
+        'nav.home': 'Главная',
+        hello: 'Привет, %{name}!',
+        cars: ru.cars
+      });
+      var text = { text: 'Say "hi"\\\tnow\nand later', invited: '[gender:female] She |||| [gender:other] They' };
+      expect(gettext.fromPO(gettext.toPO(text))).to.deep.equal(text);
+    });
+
+    it('reads the entries of PO files written by other tools', function () {
+      var po = [
+        '# Translation of the app',
+        'msgid ""',
+        'msgstr ""',
+        '"Language: de\\n"',
+        '"Plural-Forms: nplurals=2; plural=(n != 1);\\n"',
+        '',
+        '#. A comment for translators',
+        '#: src/app.js:12',
+        'msgid "Hello"',
+        'msgstr "Hallo"',
+        '#, fuzzy',
+        'msgctxt "nav.about"',
+        'msgid "About us"',
+        'msgstr "Über"',
+        'msgctxt "bye"',
+        'msgid ""',
+        '"Good"',
+        '"bye"',
+        'msgstr ""',
+        '"Auf Wieder"',
+        '"sehen"',
+        '',
+        'msgctxt "cars"',
+        'msgid "%{smart_count} car"',
+        'msgid_plural "%{smart_count} cars"',
+        'msgstr[0] "%{smart_count} Auto"',
+        'msgstr[1] "%{smart_count} Autos"',
+        '',
+        'msgctxt "untranslated"',
+        'msgid "%{smart_count} bike"',
+        'msgid_plural "%{smart_count} bikes"',
+        'msgstr[0] ""',
+        'msgstr[1] ""',
+        '',
+        '#~ msgctxt "old"',
+        '#~ msgid "Old"',
+        '#~ msgstr "Alt"'
+      ].join('\r\n');
+      expect(gettext.fromPO(po)).to.deep.equal({
+        Hello: 'Hallo',
+        bye: 'Auf Wiedersehen',
+        cars: '%{smart_count} Auto |||| %{smart_count} Autos'
+      });
+      expect(gettext.fromPO(po, { fuzzy: true })['nav.about']).to.equal('Über');
+    });
+
+    it('throws syntax errors for malformed files', function () {
+      var error;
+      try {
+        gettext.fromPO('msgid "a"\nmsgstr "b"\nnonsense');
+      } catch (e) {
+        error = e;
+      }
+      expect(error).to.be.an.instanceof(SyntaxError);
+      expect(error.message).to.equal('Malformed PO file at line 3: nonsense');
+      expect(error.line).to.equal(3);
+    });
+
+    it('reads phrases that extend accepts', function () {
+      var polyglot = new Polyglot({ locale: 'ru' });
+      polyglot.extend(gettext.fromPO(gettext.toPO(ru, { locale: 'ru', source: en })));
+      expect(polyglot.t('nav.home')).to.equal('Главная');
+      expect(polyglot.t('cars', 5)).to.equal('5 машин');
+    });
+  });
+});
@@ -1,7 +1,20 @@
+/* global Promise */
+
 'use strict';
 
 var Polyglot = require('../');
 var expect = require('chai').expect;
+var objectEntries = require('object.entries');
+
+// Skips `test` in engines that cannot format for all of `locales`, like
+// Node.js before 13, which only ships with the English ICU data by default.
+var skipUnlessFormats = function (test, locales) {
+  var supported = Intl.NumberFormat.supportedLocalesOf(locales).length === locales.length
+    && Intl.DateTimeFormat.supportedLocalesOf(locales).length === locales.length;
+  if (!supported) {
+    test.skip();
+  }
+};
 
 describe('t', function () {
   var phrases = {
@@ -490,6 +503,309 @@ describe('locale-specific pluralization rules', function () {
   });
 });
 
+describe('CLDR plural categories', function () {
+  var cars = '[=0] No cars |||| [one] %{smart_count} car |||| [other] %{smart_count} cars';
+
+  var expectPlurals = function (polyglot, key, expected) {
+    objectEntries(expected).forEach(function (entry) {
+      expect(polyglot.t(key, Number(entry[0]))).to.equal(entry[1]);
+    });
+  };
+
+  var withoutIntlPluralRules = function (callback) {
+    var IntlPluralRules = Intl.PluralRules;
+    Intl.PluralRules = undefined;
+    try {
+      callback();
+    } finally {
+      Intl.PluralRules = IntlPluralRules;
+    }
+  };
+
+  it('selects labeled variants by plural category', function () {
+    var polyglot = new Polyglot({ phrases: { cars: cars }, locale: 'en' });
+    expectPlurals(polyglot, 'cars', {
+      0: 'No cars', 1: '1 car', 2: '2 cars', 21: '21 cars'
+    });
+  });
+
+  it('selects labeled variants in any order', function () {
+    var polyglot = new Polyglot({
+      phrases: { cars: '[other] %{smart_count} voitures |||| [one] %{smart_count} voiture' },
+      locale: 'fr'
+    });
+    expectPlurals(polyglot, 'cars', { 0: '0 voiture', 1: '1 voiture', 2: '2 voitures' });
+  });
+
+  it('falls back to the `other` variant', function () {
+    var polyglot = new Polyglot({ phrases: { cars: '[one] %{smart_count} машина |||| [other] %{smart_count} машин' }, locale: 'ru' });
+    expectPlurals(polyglot, 'cars', { 1: '1 машина', 3: '3 машин', 5: '5 машин' });
+  });
+
+  it('treats unlabeled variants in labeled phrases as `other`', function () {
+    expect(Polyglot.transformPhrase('[one] %{smart_count} car |||| %{smart_count} cars', 3, 'en')).to.equal('3 cars');
+  });
+
+  it('leaves brackets that are not plural labels alone', function () {
+    expect(Polyglot.transformPhrase('[beta] %{smart_count} car |||| [beta] %{smart_count} cars', 1, 'en')).to.equal('[beta] 1 car');
+  });
+
+  it('selects labeled variants in Welsh', function () {
+    var polyglot = new Polyglot({
+      phrases: {
+        dogs: '[zero] %{smart_count} cŵn |||| [one] %{smart_count} ci |||| [two] %{smart_count} gi |||| [few] %{smart_count} chi |||| [many] %{smart_count} chi |||| [other] %{smart_count} ci'
+      },
+      locale: 'cy'
+    });
+    expectPlurals(polyglot, 'dogs', {
+      0: '0 cŵn', 1: '1 ci', 2: '2 gi', 3: '3 chi', 6: '6 chi', 4: '4 ci'
+    });
+  });
+
+  describe('unlabeled variants in locales without a plural type', function () {
+    it('pluralizes in Welsh', function () {
+      var polyglot = new Polyglot({ phrases: { n: 'zero |||| one |||| two |||| few |||| many |||| other' }, locale: 'cy' });
+      expectPlurals(polyglot, 'n', {
+        0: 'zero', 1: 'one', 2: 'two', 3: 'few', 6: 'many', 4: 'other', 100: 'other'
+      });
+    });
+
+    it('pluralizes in Irish', function () {
+      var polyglot = new Polyglot({ phrases: { n: 'one |||| two |||| few |||| many |||| other' }, locale: 'ga' });
+      expectPlurals(polyglot, 'n', {
+        1: 'one', 2: 'two', 3: 'few', 6: 'few', 7: 'many', 10: 'many', 11: 'other', 0: 'other'
+      });
+    });
+
+    it('pluralizes in Latvian', function () {
+      var polyglot = new Polyglot({ phrases: { n: 'zero |||| one |||| other' }, locale: 'lv' });
+      expectPlurals(polyglot, 'n', {
+        0: 'zero', 10: 'zero', 11: 'zero', 19: 'zero', 1: 'one', 21: 'one', 2: 'other', 22: 'other'
+      });
+    });
+
+    it('pluralizes in Romanian', function () {
+      var polyglot = new Polyglot({ phrases: { n: 'one |||| few |||| other' }, locale: 'ro' });
+      expectPlurals(polyglot, 'n', {
+        1: 'one', 0: 'few', 2: 'few', 19: 'few', 102: 'few', 20: 'other', 100: 'other'
+      });
+    });
+
+    it('pluralizes in Ukrainian', function () {
+      var polyglot = new Polyglot({ phrases: { n: 'one |||| few |||| many' }, locale: 'uk' });
+      expectPlurals(polyglot, 'n', {
+        1: 'one', 21: 'one', 2: 'few', 24: 'few', 0: 'many', 5: 'many', 11: 'many', 12: 'many'
+      });
+    });
+
+    it('pluralizes in Maltese', function () {
+      // Maltese has no `two` category before CLDR 42.
+      if (process.versions.cldr && parseFloat(process.versions.cldr) < 42) {
+        this.skip();
+      }
+      var polyglot = new Polyglot({ phrases: { n: 'one |||| two |||| few |||| many |||| other' }, locale: 'mt' });
+      expectPlurals(polyglot, 'n', {
+        1: 'one', 2: 'two', 0: 'few', 3: 'few', 110: 'few', 11: 'many', 119: 'many', 20: 'other'
+      });
+    });
+
+    it('uses the last variant when a phrase lists fewer variants than categories', function () {
+      var polyglot = new Polyglot({ phrases: { n: '%{smart_count} mașină |||| %{smart_count} mașini' }, locale: 'ro' });
+      expectPlurals(polyglot, 'n', {
+        1: '1 mașină', 2: '2 mașini', 20: '20 mașini'
+      });
+    });
+  });
+
+  it('prefers Intl.PluralRules to the bundled CLDR rules', function () {
+    var IntlPluralRules = Intl.PluralRules;
+    var OtherPluralRules = function () {};
+    OtherPluralRules.supportedLocalesOf = function (locales) { return locales; };
+    OtherPluralRules.prototype.select = function () { return 'other'; };
+    OtherPluralRules.prototype.resolvedOptions = function () { return { pluralCategories: ['other'] }; };
+    Intl.PluralRules = OtherPluralRules;
+    try {
+      var russian = new Polyglot({ phrases: { n: '[one] one |||| [few] few |||| [other] other' }, locale: 'ru-BY' });
+      expectPlurals(russian, 'n', { 1: 'other', 2: 'other', 5: 'other' });
+
+      var unlisted = new Polyglot({ phrases: { n: '[one] one |||| [other] other' }, locale: 'xx' });
+      expectPlurals(unlisted, 'n', { 1: 'other', 2: 'other' });
+    } finally {
+      Intl.PluralRules = IntlPluralRules;
+    }
+  });
+
+  describe('without Intl.PluralRules', function () {
+    it('uses the bundled CLDR rules', function () {
+      withoutIntlPluralRules(function () {
+        var welsh = new Polyglot({ phrases: { n: 'zero |||| one |||| two |||| few |||| many |||| other' }, locale: 'cy' });
+        expectPlurals(welsh, 'n', {
+          0: 'zero', 1: 'one', 2: 'two', 3: 'few', 6: 'many', 4: 'other'
+        });
+
+        var ukrainian = new Polyglot({ phrases: { n: 'one |||| few |||| many' }, locale: 'uk-UA' });
+        expectPlurals(ukrainian, 'n', {
+          1: 'one', 2: 'few', 5: 'many', 11: 'many', 22: 'few'
+        });
+
+        var maltese = new Polyglot({ phrases: { n: '[one] one |||| [two] two |||| [few] few |||| [many] many |||| [other] other' }, locale: 'mt' });
+        expectPlurals(maltese, 'n', {
+          0: 'few', 1: 'one', 2: 'two', 3: 'few', 11: 'many', 20: 'other'
+        });
+      });
+    });
+
+    it('agrees with Intl.PluralRules for every bundled language', function () {
+      // The bundled rules follow CLDR 47: older engines disagree on some counts.
+      if (!process.versions.cldr || parseFloat(process.versions.cldr) < 47) {
+        this.skip();
+      }
+      var counts = [0, 1, 2, 3, 4, 5, 6, 7, 10, 11, 12, 15, 19, 20, 21, 22, 23, 42, 100, 101, 102, 111, 1000, 1000000];
+      var languages = ['ar', 'be', 'br', 'cs', 'cy', 'da', 'en', 'fil', 'fr', 'ga', 'gd', 'gv', 'he', 'hi', 'hsb', 'is', 'it', 'kw', 'lt', 'lv', 'mk', 'mt', 'pl', 'pt', 'ro', 'ru', 'shi', 'si', 'sl', 'sr', 'tzm', 'zh'];
+      languages.forEach(function (language) {
+        var intlRules = new Intl.PluralRules(language);
+        var categories = intlRules.resolvedOptions().pluralCategories;
+        var phrase = categories.map(function (category) { return '[' + category + '] ' + category; }).join(' |||| ');
+        var expected = counts.map(function (count) { return language + ' ' + count + ': ' + intlRules.select(count); });
+        withoutIntlPluralRules(function () {
+          expect(counts.map(function (count) {
+            return language + ' ' + count + ': ' + Polyglot.transformPhrase(phrase, count, language);
+          })).to.deep.equal(expected);
+        });
+      });
+    });
+  });
+});
+
+describe('fractional, negative and numeric string counts', function () {
+  var hours = '%{smart_count} hour |||| %{smart_count} hours';
+
+  it('pluralizes fractional counts', function () {
+    expect(Polyglot.transformPhrase(hours, 1.5, 'en')).to.equal('1.5 hours');
+    expect(Polyglot.transformPhrase(hours, 0.5, 'en')).to.equal('0.5 hours');
+    // French rule: counts below 2 are singular
+    expect(Polyglot.transformPhrase('%{smart_count} heure |||| %{smart_count} heures', 1.5, 'fr')).to.equal('1.5 heure');
+  });
+
+  it('pluralizes negative counts like their absolute value', function () {
+    expect(Polyglot.transformPhrase('%{smart_count} item |||| %{smart_count} items', -1, 'en')).to.equal('-1 item');
+    expect(Polyglot.transformPhrase('%{smart_count} item |||| %{smart_count} items', -2, 'en')).to.equal('-2 items');
+  });
+
+  it('accepts numeric strings', function () {
+    expect(Polyglot.transformPhrase(hours, { smart_count: '1' }, 'en')).to.equal('1 hour');
+    expect(Polyglot.transformPhrase(hours, { smart_count: '2' }, 'en')).to.equal('2 hours');
+  });
+
+  it('keeps the visible fraction digits of numeric strings', function () {
+    // English rule: "1.0" has a visible fraction digit, so it is not singular
+    expect(Polyglot.transformPhrase(hours, { smart_count: '1.0' }, 'en')).to.equal('1.0 hours');
+    expect(Polyglot.transformPhrase('[one] 1 hour |||| [other] %{smart_count} hours', { smart_count: '1.0' }, 'en')).to.equal('1.0 hours');
+  });
+
+  it('uses the variant that a language uses for fractions', function () {
+    var russian = '%{smart_count} час |||| %{smart_count} часа |||| %{smart_count} часов';
+    expect(Polyglot.transformPhrase(russian, 1.5, 'ru')).to.equal('1.5 часа');
+    expect(Polyglot.transformPhrase(russian, 21, 'ru')).to.equal('21 час');
+    expect(Polyglot.transformPhrase(russian, -21, 'ru')).to.equal('-21 час');
+
+    var polish = '%{smart_count} godzina |||| %{smart_count} godziny |||| %{smart_count} godzin';
+    expect(Polyglot.transformPhrase(polish, 2.5, 'pl')).to.equal('2.5 godziny');
+    expect(Polyglot.transformPhrase(polish, { smart_count: '5' }, 'pl')).to.equal('5 godzin');
+
+    var croatian = '%{smart_count} sat |||| %{smart_count} sata |||| %{smart_count} sati';
+    expect(Polyglot.transformPhrase(croatian, 1.1, 'hr')).to.equal('1.1 sat');
+    expect(Polyglot.transformPhrase(croatian, 1.2, 'hr')).to.equal('1.2 sata');
+    expect(Polyglot.transformPhrase(croatian, 1.5, 'hr')).to.equal('1.5 sati');
+
+    var arabic = ['zero', 'one', 'two', 'few', 'many', 'other'].join(' |||| ');
+    expect(Polyglot.transformPhrase(arabic, 1.5, 'ar')).to.equal('other');
+    expect(Polyglot.transformPhrase(arabic, -3, 'ar')).to.equal('few');
+  });
+
+  it('never selects a variant past the end of the phrase', function () {
+    var russian = '%{smart_count} машина |||| %{smart_count} машины';
+    expect(Polyglot.transformPhrase(russian, 5, 'ru')).to.equal('5 машины');
+  });
+
+  it('follows the CLDR operands without Intl.PluralRules', function () {
+    var IntlPluralRules = Intl.PluralRules;
+    Intl.PluralRules = undefined;
+    try {
+      var latvian = '[zero] zero |||| [one] one |||| [other] other';
+      expect(Polyglot.transformPhrase(latvian, { smart_count: '0.1' }, 'lv')).to.equal('one');
+      expect(Polyglot.transformPhrase(latvian, { smart_count: '0.11' }, 'lv')).to.equal('zero');
+      expect(Polyglot.transformPhrase(latvian, { smart_count: '0.2' }, 'lv')).to.equal('other');
+
+      var icelandic = '[one] one |||| [other] other';
+      expect(Polyglot.transformPhrase(icelandic, { smart_count: '1.10' }, 'is')).to.equal('one');
+      expect(Polyglot.transformPhrase(icelandic, { smart_count: '11.1' }, 'is')).to.equal('one');
+      expect(Polyglot.transformPhrase(icelandic, { smart_count: '11' }, 'is')).to.equal('other');
+
+      var english = '[one] one |||| [other] other';
+      expect(Polyglot.transformPhrase(english, { smart_count: '1.0' }, 'en')).to.equal('other');
+      expect(Polyglot.transformPhrase(english, -1, 'en')).to.equal('one');
+    } finally {
+      Intl.PluralRules = IntlPluralRules;
+    }
+  });
+});
+
+describe('select variants', function () {
+  var invited = '[gender:female] %{name} invited you to her party |||| [gender:male] %{name} invited you to his party |||| [gender:other] %{name} invited you to their party';
+
+  it('selects the variant labeled with the value of a substitution', function () {
+    expect(Polyglot.transformPhrase(invited, { name: 'Ann', gender: 'female' })).to.equal('Ann invited you to her party');
+    expect(Polyglot.transformPhrase(invited, { name: 'Bob', gender: 'male' })).to.equal('Bob invited you to his party');
+  });
+
+  it('falls back to the `other` variant for unknown or missing values', function () {
+    expect(Polyglot.transformPhrase(invited, { name: 'Sam', gender: 'nonbinary' })).to.equal('Sam invited you to their party');
+    expect(Polyglot.transformPhrase(invited, { name: 'Sam' })).to.equal('Sam invited you to their party');
+  });
+
+  it('compares values as strings', function () {
+    var phrase = '[vip:true] Welcome back, VIP |||| [vip:other] Welcome back';
+    expect(Polyglot.transformPhrase(phrase, { vip: true })).to.equal('Welcome back, VIP');
+    expect(Polyglot.transformPhrase(phrase, { vip: false })).to.equal('Welcome back');
+  });
+
+  it('combines substitution values with plural categories', function () {
+    var phrase = [
+      '[gender:female one] She has %{smart_count} cat',
+      '[gender:female] She has %{smart_count} cats',
+      '[gender:male one] He has %{smart_count} cat',
+      '[gender:male] He has %{smart_count} cats',
+      '[one] They have %{smart_count} cat',
+      '[other] They have %{smart_count} cats'
+    ].join(' |||| ');
+
+    expect(Polyglot.transformPhrase(phrase, { smart_count: 1, gender: 'female' }, 'en')).to.equal('She has 1 cat');
+    expect(Polyglot.transformPhrase(phrase, { smart_count: 3, gender: 'female' }, 'en')).to.equal('She has 3 cats');
+    expect(Polyglot.transformPhrase(phrase, { smart_count: 1, gender: 'male' }, 'en')).to.equal('He has 1 cat');
+    expect(Polyglot.transformPhrase(phrase, { smart_count: 3, gender: 'male' }, 'en')).to.equal('He has 3 cats');
+    expect(Polyglot.transformPhrase(phrase, { smart_count: 1 }, 'en')).to.equal('They have 1 cat');
+    expect(Polyglot.transformPhrase(phrase, { smart_count: 3, gender: 'other' }, 'en')).to.equal('They have 3 cats');
+  });
+
+  it('prefers exact counts over substitution values', function () {
+    var phrase = '[=0] Nobody is coming |||| [gender:female] %{smart_count} women are coming |||| [other] %{smart_count} people are coming';
+    expect(Polyglot.transformPhrase(phrase, { smart_count: 0, gender: 'female' }, 'en')).to.equal('Nobody is coming');
+    expect(Polyglot.transformPhrase(phrase, { smart_count: 2, gender: 'female' }, 'en')).to.equal('2 women are coming');
+  });
+
+  it('leaves phrases without select labels alone when there is no count', function () {
+    var phrase = '[one] a |||| [other] b';
+    expect(Polyglot.transformPhrase(phrase, { gender: 'female' })).to.equal(phrase);
+    expect(Polyglot.transformPhrase('[%{name}] is here', { name: 'Ann' })).to.equal('[Ann] is here');
+  });
+
+  it('works through t()', function () {
+    var polyglot = new Polyglot({ phrases: { invited: invited } });
+    expect(polyglot.t('invited', { name: 'Ann', gender: 'female' })).to.equal('Ann invited you to her party');
+  });
+});
+
 describe('custom pluralRules', function () {
   var customPluralRules = {
     pluralTypes: {
@@ -545,198 +861,1822 @@ describe('custom pluralRules', function () {
   });
 });
 
-describe('locale', function () {
-  var polyglot;
-  beforeEach(function () {
-    polyglot = new Polyglot();
-  });
+describe('formatted placeholders', function () {
+  var date = new Date(2020, 0, 31, 14, 5);
 
-  it('defaults to "en"', function () {
-    expect(polyglot.locale()).to.equal('en');
+  it('formats numbers for the current locale', function () {
+    skipUnlessFormats(this, ['de']);
+    var polyglot = new Polyglot({ locale: 'de', phrases: { total: '%{n, number} Artikel' } });
+    expect(polyglot.t('total', { n: 1234.5 })).to.equal('1.234,5 Artikel');
+    expect(Polyglot.transformPhrase('%{n, number, integer}', { n: 1234.5 }, 'en')).to.equal('1,235');
   });
 
-  it('gets and sets locale', function () {
-    polyglot.locale('es');
-    expect(polyglot.locale()).to.equal('es');
-
-    polyglot.locale('fr');
-    expect(polyglot.locale()).to.equal('fr');
+  it('formats currencies', function () {
+    skipUnlessFormats(this, ['de']);
+    var polyglot = new Polyglot({ locale: 'de', phrases: { price: 'Preis: %{price, currency, EUR}' } });
+    expect(polyglot.t('price', { price: 1234.5 })).to.equal('Preis: 1.234,50\u00a0€');
+    expect(Polyglot.transformPhrase('%{price, currency, USD}', { price: 5 }, 'en')).to.equal('$5.00');
   });
-});
 
-describe('extend', function () {
-  var polyglot;
-  beforeEach(function () {
-    polyglot = new Polyglot();
+  it('formats dates and times', function () {
+    skipUnlessFormats(this, ['de']);
+    expect(Polyglot.transformPhrase('%{when, date, short}', { when: date }, 'en')).to.equal('1/31/20');
+    expect(Polyglot.transformPhrase('%{when, date, short}', { when: date }, 'de')).to.equal('31.1.20');
+    expect(Polyglot.transformPhrase('%{when, date}', { when: date.getTime() }, 'en'))
+      .to.equal(new Intl.DateTimeFormat('en', { year: 'numeric', month: 'short', day: 'numeric' }).format(date));
+    expect(Polyglot.transformPhrase('%{when, time, short}', { when: date }, 'en'))
+      .to.equal(new Intl.DateTimeFormat('en', { hour: 'numeric', minute: 'numeric' }).format(date));
   });
 
-  it('supports multiple extends, overriding old keys', function () {
-    polyglot.extend({ aKey: 'First time' });
-    polyglot.extend({ aKey: 'Second time' });
-    expect(polyglot.t('aKey')).to.equal('Second time');
+  it('formats for the current locale when the phrase comes from a fallback locale', function () {
+    skipUnlessFormats(this, ['de-CH']);
+    var polyglot = new Polyglot({
+      locale: 'de-CH',
+      phrasesByLocale: { de: { price: '%{price, number}' } }
+    });
+    expect(polyglot.t('price', { price: 1234.5 })).to.equal(new Intl.NumberFormat('de-CH').format(1234.5));
   });
 
-  it('does not forget old keys', function () {
-    polyglot.extend({ firstKey: 'Numba one', secondKey: 'Numba two' });
-    polyglot.extend({ secondKey: 'Numero dos' });
-    expect(polyglot.t('firstKey')).to.equal('Numba one');
+  it('formats the count of plural phrases', function () {
+    skipUnlessFormats(this, ['de']);
+    var polyglot = new Polyglot({ locale: 'de', phrases: { files: '%{smart_count, number} Datei |||| %{smart_count, number} Dateien' } });
+    expect(polyglot.t('files', 1234)).to.equal('1.234 Dateien');
   });
 
-  it('supports optional `prefix` argument', function () {
-    polyglot.extend({ click: 'Click', hover: 'Hover' }, 'sidebar');
-    expect(polyglot.phrases['sidebar.click']).to.equal('Click');
-    expect(polyglot.phrases['sidebar.hover']).to.equal('Hover');
-    expect(polyglot.phrases).not.to.have.property('click');
+  it('uses custom formatters', function () {
+    skipUnlessFormats(this, ['fr']);
+    var polyglot = new Polyglot({
+      locale: 'fr',
+      phrases: { size: 'Taille : %{bytes, filesize, kB}', price: '%{price, currency, EUR}' },
+      formatters: {
+        filesize: function (value, style, locale) {
+          return new Intl.NumberFormat(locale).format(value / 1000) + ' ' + style;
+        },
+        currency: function (value, style) {
+          return value + ' ' + style;
+        }
+      }
+    });
+    expect(polyglot.t('size', { bytes: 1500 })).to.equal('Taille : 1,5 kB');
+    expect(polyglot.t('price', { price: 3 })).to.equal('3 EUR');
   });
 
-  it('supports nested object', function () {
-    polyglot.extend({
-      sidebar: {
-        click: 'Click',
-        hover: 'Hover'
-      },
-      nav: {
-        header: {
-          log_in: 'Log In'
-        }
+  it('uses custom formatters for typed ICU arguments', function () {
+    var polyglot = new Polyglot({
+      messageFormat: 'icu',
+      phrases: { shout: '{name, upper}!' },
+      formatters: {
+        upper: function (value) { return String(value).toUpperCase(); }
       }
     });
-    expect(polyglot.phrases['sidebar.click']).to.equal('Click');
-    expect(polyglot.phrases['sidebar.hover']).to.equal('Hover');
-    expect(polyglot.phrases['nav.header.log_in']).to.equal('Log In');
-    expect(polyglot.phrases).not.to.have.property('click');
-    expect(polyglot.phrases).not.to.have.property('header.log_in');
-    expect(polyglot.phrases).not.to.have.property('log_in');
+    expect(polyglot.t('shout', { name: 'hey' })).to.equal('HEY!');
   });
-});
 
-describe('clear', function () {
-  var polyglot;
-  beforeEach(function () {
-    polyglot = new Polyglot();
+  it('leaves values of unknown formats unformatted', function () {
+    expect(Polyglot.transformPhrase('%{n, unknown}', { n: 1234.5 }, 'en')).to.equal('1234.5');
+    expect(Polyglot.transformPhrase('%{price, currency}', { price: 5 }, 'en')).to.equal('5');
   });
 
-  it('wipes out old phrases', function () {
-    polyglot.extend({ hiFriend: 'Hi, Friend.' });
-    polyglot.clear();
-    expect(polyglot.t('hiFriend')).to.equal('hiFriend');
+  it('leaves values that are not numbers or valid dates unformatted', function () {
+    expect(Polyglot.transformPhrase('%{n, number}', { n: 'abc' }, 'en')).to.equal('abc');
+    expect(Polyglot.transformPhrase('%{price, currency, EUR}', { price: 'free' }, 'en')).to.equal('free');
+    expect(Polyglot.transformPhrase('%{d, date, short}', { d: 'garbage' }, 'en')).to.equal('garbage');
+    expect(Polyglot.transformPhrase('%{d, time}', { d: new Date(NaN) }, 'en')).to.equal('Invalid Date');
   });
-});
 
-describe('replace', function () {
-  var polyglot;
-  beforeEach(function () {
-    polyglot = new Polyglot();
+  it('only formats numbers and numeric strings as numbers', function () {
+    expect(Polyglot.transformPhrase('[%{n, number}]', { n: '' }, 'en')).to.equal('[]');
+    expect(Polyglot.transformPhrase('%{n, number}', { n: '  ' }, 'en')).to.equal('  ');
+    expect(Polyglot.transformPhrase('%{n, number}', { n: true }, 'en')).to.equal('true');
+    expect(Polyglot.transformPhrase('%{n, number}', { n: NaN }, 'en')).to.equal('NaN');
+    expect(Polyglot.transformPhrase('%{price, currency, USD}', { price: false }, 'en')).to.equal('false');
+    expect(Polyglot.transformPhrase('%{n, number}', { n: ' 1234.5 ' }, 'en')).to.equal('1,234.5');
+    expect(Polyglot.transformPhrase('%{n, number}', { n: '-1e3' }, 'en')).to.equal('-1,000');
   });
 
-  it('wipes out old phrases and replace with new phrases', function () {
-    polyglot.extend({ hiFriend: 'Hi, Friend.', byeFriend: 'Bye, Friend.' });
-    polyglot.replace({ hiFriend: 'Hi, Friend.' });
-    expect(polyglot.t('hiFriend')).to.equal('Hi, Friend.');
-    expect(polyglot.t('byeFriend')).to.equal('byeFriend');
+  it('leaves placeholders with missing values in place', function () {
+    expect(Polyglot.transformPhrase('%{n, number}', { m: 1 }, 'en')).to.equal('%{n, number}');
+  });
+
+  it('prefers substitutions named after the whole placeholder', function () {
+    expect(Polyglot.transformPhrase('%{a, b}', { 'a, b': 'raw', a: 1 }, 'en')).to.equal('raw');
+  });
+
+  it('works with custom interpolation syntax', function () {
+    skipUnlessFormats(this, ['de']);
+    var polyglot = new Polyglot({
+      locale: 'de',
+      phrases: { total: '{{n, number}}' },
+      interpolation: { prefix: '{{', suffix: '}}' }
+    });
+    expect(polyglot.t('total', { n: 1234.5 })).to.equal('1.234,5');
   });
 });
 
-describe('unset', function () {
-  var polyglot;
-  beforeEach(function () {
-    polyglot = new Polyglot();
+describe('escape', function () {
+  var phrases = {
+    hello: 'Hello, <b>%{name}</b>!',
+    price: '<i>%{price, number}</i>'
+  };
+
+  it('does not escape values by default', function () {
+    var polyglot = new Polyglot({ phrases: phrases });
+    expect(polyglot.t('hello', { name: '<script>' })).to.equal('Hello, <b><script></b>!');
   });
 
-  it('unsets a key based on a string', function () {
-    polyglot.extend({ test_key: 'test_value' });
-    expect(polyglot.has('test_key')).to.equal(true);
+  it('escapes values, but not the phrase, with the escape option', function () {
+    var polyglot = new Polyglot({ phrases: phrases, escape: true });
+    expect(polyglot.t('hello', { name: '<img src=x onerror="alert(\'&\')">' }))
+      .to.equal('Hello, <b>&lt;img src=x onerror=&quot;alert(&#39;&amp;&#39;)&quot;&gt;</b>!');
+    expect(polyglot.t('price', { price: 1234.5 })).to.equal('<i>1,234.5</i>');
+  });
 
-    polyglot.unset('test_key');
-    expect(polyglot.has('test_key')).to.equal(false);
+  it('can be turned on and off for a single call', function () {
+    var escaping = new Polyglot({ phrases: phrases, escape: true });
+    var plain = new Polyglot({ phrases: phrases });
+    expect(escaping.t('hello', { name: '<i>', escape: false })).to.equal('Hello, <b><i></b>!');
+    expect(plain.t('hello', { name: '<i>', escape: true })).to.equal('Hello, <b>&lt;i&gt;</b>!');
   });
 
-  it('unsets a key based on an object hash', function () {
-    polyglot.extend({ test_key: 'test_value', foo: 'bar' });
-    expect(polyglot.has('test_key')).to.equal(true);
-    expect(polyglot.has('foo')).to.equal(true);
+  it('inserts raw values as they are', function () {
+    var polyglot = new Polyglot({ phrases: phrases, escape: true });
+    expect(polyglot.t('hello', { name: Polyglot.raw('<em>Spike</em>') })).to.equal('Hello, <b><em>Spike</em></b>!');
+    expect(polyglot.t('price', { price: Polyglot.raw(1234.5) })).to.equal('<i>1,234.5</i>');
+    expect(new Polyglot({ phrases: phrases }).t('hello', { name: Polyglot.raw('Spike') })).to.equal('Hello, <b>Spike</b>!');
+  });
 
-    polyglot.unset({ test_key: 'test_value', foo: 'bar' });
-    expect(polyglot.has('test_key')).to.equal(false);
-    expect(polyglot.has('foo')).to.equal(false);
+  it('escapes the values of formatters, unless they return raw values', function () {
+    var polyglot = new Polyglot({
+      escape: true,
+      phrases: { a: '%{x, quoted}', b: '%{x, link}' },
+      formatters: {
+        quoted: function (value) { return '"' + value + '"'; },
+        link: function (value) { return Polyglot.raw('<a>' + value + '</a>'); }
+      }
+    });
+    expect(polyglot.t('a', { x: 'y' })).to.equal('&quot;y&quot;');
+    expect(polyglot.t('b', { x: 'y' })).to.equal('<a>y</a>');
   });
 
-  it('unsets nested objects using recursive prefix call', function () {
-    polyglot.extend({ foo: { bar: 'foobar' } });
-    expect(polyglot.has('foo.bar')).to.equal(true);
+  it('escapes the values of defaults and missing keys', function () {
+    var polyglot = new Polyglot({ escape: true, allowMissing: true });
+    expect(polyglot.t('missing', { _: '<b>%{name}</b>', name: '&' })).to.equal('<b>&amp;</b>');
+    expect(polyglot.t('Hi, %{name}', { name: '<i>' })).to.equal('Hi, &lt;i&gt;');
+  });
 
-    polyglot.unset({ foo: { bar: 'foobar' } });
-    expect(polyglot.has('foo.bar')).to.equal(false);
+  it('escapes ICU arguments', function () {
+    var polyglot = new Polyglot({
+      messageFormat: 'icu',
+      escape: true,
+      phrases: { hello: '<b>{name}</b> has {count, plural, one {# <i>item</i>} other {# items}}' }
+    });
+    expect(polyglot.t('hello', { name: 'A&B', count: 1 })).to.equal('<b>A&amp;B</b> has 1 <i>item</i>');
+    expect(polyglot.t('hello', { name: Polyglot.raw('<u>A</u>'), count: 2 })).to.equal('<b><u>A</u></b> has 2 items');
   });
-});
 
-describe('transformPhrase', function () {
-  var simple = '%{name} is %{attribute}';
-  var english = '%{smart_count} Name |||| %{smart_count} Names';
-  var arabic = [
-    'ولا صوت',
-    'صوت واحد',
-    'صوتان',
-    '%{smart_count} أصوات',
-    '%{smart_count} صوت',
-    '%{smart_count} صوت'
-  ].join(' |||| ');
+  it('escapes string values in tParts, but not elements', function () {
+    var polyglot = new Polyglot({ phrases: phrases, escape: true });
+    var element = { type: 'span' };
+    expect(polyglot.tParts('hello', { name: '<i>' })).to.deep.equal(['Hello, <b>&lt;i&gt;</b>!']);
+    expect(polyglot.tParts('hello', { name: element })).to.deep.equal(['Hello, <b>', element, '</b>!']);
+  });
 
-  it('does simple interpolation', function () {
-    expect(Polyglot.transformPhrase(simple, { name: 'Polyglot', attribute: 'awesome' })).to.equal('Polyglot is awesome');
+  it('escapes arrays and objects once t turns them into strings', function () {
+    var polyglot = new Polyglot({ phrases: phrases, escape: true });
+    var markup = { toString: function () { return '<img src=x onerror=alert(1)>'; } };
+    expect(polyglot.t('hello', { name: ['<img src=x onerror=alert(1)>'] }))
+      .to.equal('Hello, <b>&lt;img src=x onerror=alert(1)&gt;</b>!');
+    expect(polyglot.t('hello', { name: markup })).to.equal('Hello, <b>&lt;img src=x onerror=alert(1)&gt;</b>!');
+    expect(polyglot.t('hello', { name: Polyglot.raw(markup) })).to.equal('Hello, <b><img src=x onerror=alert(1)></b>!');
+    expect(polyglot.tParts('hello', { name: markup })).to.deep.equal(['Hello, <b>', markup, '</b>!']);
+    expect(Polyglot.transformPhrase('%{name}', { name: ['<i>'], escape: true })).to.equal('&lt;i&gt;');
   });
 
-  it('removes missing keys', function () {
-    expect(Polyglot.transformPhrase(simple, { name: 'Polyglot' })).to.equal('Polyglot is %{attribute}');
+  it('escapes arrays and objects in ICU arguments', function () {
+    var polyglot = new Polyglot({ messageFormat: 'icu', escape: true, phrases: { hello: '<b>{name}</b>' } });
+    expect(polyglot.t('hello', { name: ['<i>', '&'] })).to.equal('<b>&lt;i&gt;,&amp;</b>');
   });
 
-  it('selects the correct plural form based on smart_count', function () {
-    expect(Polyglot.transformPhrase(english, { smart_count: 0 }, 'en')).to.equal('0 Names');
-    expect(Polyglot.transformPhrase(english, { smart_count: 1 }, 'en')).to.equal('1 Name');
-    expect(Polyglot.transformPhrase(english, { smart_count: 2 }, 'en')).to.equal('2 Names');
-    expect(Polyglot.transformPhrase(english, { smart_count: 3 }, 'en')).to.equal('3 Names');
+  it('is supported by transformPhrase', function () {
+    expect(Polyglot.transformPhrase('<b>%{name}</b>', { name: '<i>', escape: true })).to.equal('<b>&lt;i&gt;</b>');
   });
+});
 
-  it('selects the correct locale', function () {
-    // French rule: "0" is singular
-    expect(Polyglot.transformPhrase(english, { smart_count: 0 }, 'fr')).to.equal('0 Name');
-    expect(Polyglot.transformPhrase(english, { smart_count: 1 }, 'fr')).to.equal('1 Name');
-    expect(Polyglot.transformPhrase(english, { smart_count: 2 }, 'fr')).to.equal('2 Names');
-    expect(Polyglot.transformPhrase(english, { smart_count: 3 }, 'fr')).to.equal('3 Names');
+describe('tParts', function () {
+  var element = function (type) {
+    return function (children) {
+      return { type: type, children: children };
+    };
+  };
 
-    // Arabic has 6 rules
-    expect(Polyglot.transformPhrase(arabic, 0, 'ar')).to.equal('ولا صوت');
-    expect(Polyglot.transformPhrase(arabic, 1, 'ar')).to.equal('صوت واحد');
-    expect(Polyglot.transformPhrase(arabic, 2, 'ar')).to.equal('صوتان');
-    expect(Polyglot.transformPhrase(arabic, 3, 'ar')).to.equal('3 أصوات');
-    expect(Polyglot.transformPhrase(arabic, 11, 'ar')).to.equal('11 صوت');
-    expect(Polyglot.transformPhrase(arabic, 102, 'ar')).to.equal('102 صوت');
+  it('returns the translation as an array of strings', function () {
+    var polyglot = new Polyglot({ phrases: { hello: 'Hello, %{name}!' } });
+    expect(polyglot.tParts('hello', { name: 'Spike' })).to.deep.equal(['Hello, Spike!']);
   });
 
-  it('defaults to `en`', function () {
-    // French rule: "0" is singular
-    expect(Polyglot.transformPhrase(english, { smart_count: 0 })).to.equal('0 Names');
+  it('keeps non-string values in order', function () {
+    var polyglot = new Polyglot({ phrases: { greeting: '%{greeting}, %{name}!' } });
+    var name = { type: 'b', children: ['Spike'] };
+    expect(polyglot.tParts('greeting', { greeting: 'Hi', name: name })).to.deep.equal(['Hi, ', name, '!']);
   });
 
-  it('ignores a region subtag when choosing a pluralization rule', function () {
-    // French rule: "0" is singular
-    expect(Polyglot.transformPhrase(english, { smart_count: 0 }, 'fr-FR')).to.equal('0 Name');
+  it('maps tags to wrapper functions', function () {
+    var polyglot = new Polyglot({ phrases: { terms: 'Read the <link>terms of %{site}</link>.' } });
+    expect(polyglot.tParts('terms', { site: 'Acme', link: element('a') })).to.deep.equal([
+      'Read the ',
+      { type: 'a', children: ['terms of Acme'] },
+      '.'
+    ]);
   });
 
-  it('works without arguments', function () {
-    expect(Polyglot.transformPhrase(english)).to.equal(english);
+  it('supports nested and self-closing tags', function () {
+    var polyglot = new Polyglot({ phrases: { note: '<b>Note:<br/><i>%{count}</i> left</b>' } });
+    var parts = polyglot.tParts('note', {
+      count: 3, b: element('b'), i: element('i'), br: element('br')
+    });
+    expect(parts).to.deep.equal([{
+      type: 'b',
+      children: ['Note:', { type: 'br', children: [] }, { type: 'i', children: ['3'] }, ' left']
+    }]);
   });
 
-  it('respects a number as shortcut for smart_count', function () {
-    expect(Polyglot.transformPhrase(english, 0, 'en')).to.equal('0 Names');
-    expect(Polyglot.transformPhrase(english, 1, 'en')).to.equal('1 Name');
-    expect(Polyglot.transformPhrase(english, 5, 'en')).to.equal('5 Names');
+  it('leaves tags without a wrapper and unbalanced tags as text', function () {
+    var polyglot = new Polyglot({ phrases: { text: '<b>bold</b> <link>open' } });
+    expect(polyglot.tParts('text', { link: element('a') })).to.deep.equal(['<b>bold</b> <link>open']);
+    expect(polyglot.tParts('text', { b: element('b') })).to.deep.equal([{ type: 'b', children: ['bold'] }, ' <link>open']);
   });
 
-  it('throws without sane phrase string', function () {
-    expect(function () { Polyglot.transformPhrase(); }).to.throw(TypeError);
-    expect(function () { Polyglot.transformPhrase(null); }).to.throw(TypeError);
-    expect(function () { Polyglot.transformPhrase(32); }).to.throw(TypeError);
-    expect(function () { Polyglot.transformPhrase({}); }).to.throw(TypeError);
+  it('does not look for tags in substituted values', function () {
+    var polyglot = new Polyglot({ phrases: { hello: 'Hello, %{name}' } });
+    expect(polyglot.tParts('hello', { name: '<b>Spike</b>', b: element('b') })).to.deep.equal(['Hello, <b>Spike</b>']);
+  });
+
+  it('selects plural variants', function () {
+    var polyglot = new Polyglot({ phrases: { cars: '<b>%{smart_count}</b> car |||| <b>%{smart_count}</b> cars' } });
+    expect(polyglot.tParts('cars', { smart_count: 2, b: element('b') })).to.deep.equal([
+      { type: 'b', children: ['2'] },
+      ' cars'
+    ]);
+  });
+
+  it('works with ICU messages', function () {
+    var polyglot = new Polyglot({
+      messageFormat: 'icu',
+      phrases: { photos: '{count, plural, one {<b>#</b> photo} other {<b>#</b> photos}} by {name}' }
+    });
+    var name = { type: 'span', children: ['Ann'] };
+    expect(polyglot.tParts('photos', { count: 3, name: name, b: element('b') })).to.deep.equal([
+      { type: 'b', children: ['3'] },
+      ' photos by ',
+      name
+    ]);
+  });
+
+  it('returns missing keys in an array', function () {
+    var polyglot = new Polyglot({ warn: function () {} });
+    expect(polyglot.tParts('missing')).to.deep.equal(['missing']);
+    expect(polyglot.tParts('missing', { _: 'Hello <b>%{name}</b>', name: 'Ann', b: element('b') })).to.deep.equal([
+      'Hello ',
+      { type: 'b', children: ['Ann'] }
+    ]);
+  });
+});
+
+describe('ICU message format', function () {
+  var phrases = {
+    hello: 'Hello, {name}!',
+    cars: '{count, plural, =0 {No cars} one {# car} other {# cars}}',
+    guests: '{guests, plural, offset:1 =0 {Nobody} =1 {{host}} one {{host} and # guest} other {{host} and # guests}}',
+    liked: '{gender, select, female {She} male {He} other {They}} liked {count, plural, one {your photo} other {# of your photos}}.',
+    place: 'You finished {place, selectordinal, one {#st} two {#nd} few {#rd} other {#th}}!',
+    invited: '{host_gender, select, female {{guests, plural, =0 {She invited nobody} one {She invited one guest} other {She invited # guests}}} other {{guests, plural, =0 {They invited nobody} one {They invited one guest} other {They invited # guests}}}}',
+    quoted: 'This is not an argument: \'{name}\'. It\'\'s {name}\'s turn.',
+    legacy: '%{name} |||| Hi'
+  };
+
+  var polyglot;
+  beforeEach(function () {
+    polyglot = new Polyglot({ phrases: phrases, locale: 'en', messageFormat: 'icu' });
+  });
+
+  it('interpolates simple arguments', function () {
+    expect(polyglot.t('hello', { name: 'Spike' })).to.equal('Hello, Spike!');
+  });
+
+  it('leaves missing arguments in place', function () {
+    expect(polyglot.t('hello')).to.equal('Hello, {name}!');
+  });
+
+  it('selects plural options', function () {
+    expect(polyglot.t('cars', { count: 0 })).to.equal('No cars');
+    expect(polyglot.t('cars', { count: 1 })).to.equal('1 car');
+    expect(polyglot.t('cars', { count: 1234 })).to.equal('1,234 cars');
+  });
+
+  it('uses the plural rules of the locale', function () {
+    var instance = new Polyglot({
+      phrases: { cars: '{count, plural, one {# машина} few {# машины} many {# машин} other {# машины}}' },
+      locale: 'ru',
+      messageFormat: 'icu'
+    });
+    expect(instance.t('cars', { count: 1 })).to.equal('1 машина');
+    expect(instance.t('cars', { count: 3 })).to.equal('3 машины');
+    expect(instance.t('cars', { count: 11 })).to.equal('11 машин');
+  });
+
+  it('supports plural offsets', function () {
+    expect(polyglot.t('guests', { guests: 0, host: 'Ana' })).to.equal('Nobody');
+    expect(polyglot.t('guests', { guests: 1, host: 'Ana' })).to.equal('Ana');
+    expect(polyglot.t('guests', { guests: 2, host: 'Ana' })).to.equal('Ana and 1 guest');
+    expect(polyglot.t('guests', { guests: 3, host: 'Ana' })).to.equal('Ana and 2 guests');
+  });
+
+  it('selects options by value', function () {
+    expect(polyglot.t('liked', { gender: 'female', count: 1 })).to.equal('She liked your photo.');
+    expect(polyglot.t('liked', { gender: 'male', count: 3 })).to.equal('He liked 3 of your photos.');
+    expect(polyglot.t('liked', { count: 3 })).to.equal('They liked 3 of your photos.');
+  });
+
+  it('selects ordinal options', function () {
+    expect(polyglot.t('place', { place: 1 })).to.equal('You finished 1st!');
+    expect(polyglot.t('place', { place: 22 })).to.equal('You finished 22nd!');
+    expect(polyglot.t('place', { place: 13 })).to.equal('You finished 13th!');
+  });
+
+  it('supports plurals nested in selects', function () {
+    expect(polyglot.t('invited', { host_gender: 'female', guests: 0 })).to.equal('She invited nobody');
+    expect(polyglot.t('invited', { host_gender: 'female', guests: 5 })).to.equal('She invited 5 guests');
+    expect(polyglot.t('invited', { host_gender: 'male', guests: 1 })).to.equal('They invited one guest');
+  });
+
+  it('supports apostrophe quoting', function () {
+    expect(polyglot.t('quoted', { name: 'Spike' })).to.equal('This is not an argument: {name}. It\'s Spike\'s turn.');
+  });
+
+  it('does not treat the plural delimiter specially', function () {
+    expect(polyglot.t('legacy', { name: 'Spike', smart_count: 2 })).to.equal('%Spike |||| Hi');
+  });
+
+  it('formats numbers and dates', function () {
+    skipUnlessFormats(this, ['de']);
+    var instance = new Polyglot({
+      phrases: {
+        total: 'Total: {total, number}',
+        rounded: 'About {total, number, integer}',
+        share: '{share, number, percent} done',
+        day: 'On {day, date, long}'
+      },
+      locale: 'de',
+      messageFormat: 'icu'
+    });
+    expect(instance.t('total', { total: 1234.5 })).to.equal('Total: 1.234,5');
+    expect(instance.t('rounded', { total: 1234.5 })).to.equal('About 1.235');
+    expect(instance.t('share', { share: 0.5 })).to.equal(new Intl.NumberFormat('de', { style: 'percent' }).format(0.5) + ' done');
+    expect(instance.t('day', { day: new Date(2019, 8, 10) })).to.equal('On 10. September 2019');
+  });
+
+  it('accepts a number as a shortcut for smart_count', function () {
+    var instance = new Polyglot({
+      phrases: { cars: '{smart_count, plural, one {# car} other {# cars}}' },
+      messageFormat: 'icu'
+    });
+    expect(instance.t('cars', 2)).to.equal('2 cars');
+  });
+
+  it('interpolates missing keys with allowMissing', function () {
+    var instance = new Polyglot({ allowMissing: true, messageFormat: 'icu' });
+    expect(instance.t('Welcome {name}', { name: 'Robert' })).to.equal('Welcome Robert');
+  });
+
+  it('warns about malformed phrases and returns them untouched', function () {
+    var warnings = [];
+    var instance = new Polyglot({
+      phrases: { broken: '{count, plural, one {# car}}' },
+      messageFormat: 'icu',
+      warn: function (message) { warnings.push(message); }
+    });
+    expect(instance.t('broken', { count: 1 })).to.equal('{count, plural, one {# car}}');
+    expect(warnings).to.have.length(1);
+    expect(warnings[0]).to.contain('"other"');
+  });
+
+  it('throws for unknown message formats', function () {
+    expect(function () { return new Polyglot({ messageFormat: 'gettext' }); }).to.throw(RangeError);
+  });
+
+  describe('transformMessage', function () {
+    it('formats a message', function () {
+      expect(Polyglot.transformMessage('{n, plural, one {# day} other {# days}}', { n: 3 }, 'en')).to.equal('3 days');
+    });
+
+    it('throws for malformed messages', function () {
+      expect(function () { Polyglot.transformMessage('Hello, {name'); }).to.throw(SyntaxError);
+      expect(function () { Polyglot.transformMessage('Hello, name}'); }).to.throw(SyntaxError);
+      expect(function () { Polyglot.transformMessage('{n, plural, one {# day} other {# days}'); }).to.throw(SyntaxError);
+      expect(function () { Polyglot.transformMessage('{n, select, a {A}}'); }).to.throw(SyntaxError);
+    });
+
+    it('throws without sane message string', function () {
+      expect(function () { Polyglot.transformMessage(); }).to.throw(TypeError);
+      expect(function () { Polyglot.transformMessage(32); }).to.throw(TypeError);
+    });
+  });
+});
+
+describe('compiled phrases', function () {
+  it('translates phrases the same way the first time and afterwards', function () {
+    var polyglot = new Polyglot({ locale: 'ru', phrases: { cars: '%{smart_count} машина |||| %{smart_count} машины |||| %{smart_count} машин' } });
+    [1, 2, 5, 21, 1, 2, 5, 21].forEach(function (count, index) {
+      expect(polyglot.t('cars', count)).to.equal(count + ' ' + ['машина', 'машины', 'машин', 'машина'][index % 4]);
+    });
+  });
+
+  it('picks up phrases changed by extend, replace and unset', function () {
+    var polyglot = new Polyglot({ phrases: { hello: 'Hello, %{name}' }, warn: function () {} });
+    expect(polyglot.t('hello', { name: 'Ann' })).to.equal('Hello, Ann');
+    polyglot.extend({ hello: 'Hi, %{name}' });
+    expect(polyglot.t('hello', { name: 'Ann' })).to.equal('Hi, Ann');
+    polyglot.replace({ hello: 'Hey, %{name}' });
+    expect(polyglot.t('hello', { name: 'Ann' })).to.equal('Hey, Ann');
+    polyglot.unset('hello');
+    expect(polyglot.t('hello', { name: 'Ann' })).to.equal('hello');
+  });
+
+  it('uses the plural rules of the current locale for cached phrases', function () {
+    var polyglot = new Polyglot();
+    var options = { _: '[one] one |||| [few] few |||| [other] other', smart_count: 3 };
+    expect(polyglot.t('n', options)).to.equal('other');
+    polyglot.locale('ru');
+    expect(polyglot.t('n', options)).to.equal('few');
+  });
+
+  it('does not compile a phrase again when it is translated again', function () {
+    var compilePhrase = Polyglot.compilers.polyglot;
+    var compiled = [];
+    Polyglot.compilers.polyglot = function (phrase, tokenRegex) {
+      compiled.push(phrase);
+      return compilePhrase(phrase, tokenRegex);
+    };
+    try {
+      var polyglot = new Polyglot({ phrases: { hello: 'Hello, %{name}' } });
+      expect(polyglot.t('hello', { name: 'Ann' })).to.equal('Hello, Ann');
+      expect(polyglot.t('hello', { name: 'Bob' })).to.equal('Hello, Bob');
+    } finally {
+      Polyglot.compilers.polyglot = compilePhrase;
+    }
+    expect(compiled).to.deep.equal(['Hello, %{name}']);
+  });
+
+  it('compiles phrases once per instance', function () {
+    var polyglot = new Polyglot({ phrases: { a: 'Same %{x}', b: 'Same %{x}' } });
+    polyglot.t('a', { x: 1 });
+    polyglot.t('b', { x: 2 });
+    expect(Object.keys(polyglot.compiledPhrases)).to.deep.equal(['Same %{x}']);
+    polyglot.clear();
+    expect(Object.keys(polyglot.compiledPhrases)).to.deep.equal([]);
+  });
+
+  it('does not cache the defaults of missing keys', function () {
+    var polyglot = new Polyglot();
+    ['Ann', 'Bob'].forEach(function (name) {
+      expect(polyglot.t('missing', { _: 'Hi ' + name + ', %{x}', x: 1 })).to.equal('Hi ' + name + ', 1');
+    });
+    expect(Object.keys(polyglot.compiledPhrases)).to.deep.equal([]);
+  });
+
+  it('keeps warning about malformed ICU messages', function () {
+    var warnings = [];
+    var polyglot = new Polyglot({
+      messageFormat: 'icu',
+      phrases: { broken: '{count, plural, one {#}' },
+      warn: function (message) { warnings.push(message); }
+    });
+    expect(polyglot.t('broken', 1)).to.equal('{count, plural, one {#}');
+    expect(polyglot.t('broken', 1)).to.equal('{count, plural, one {#}');
+    expect(warnings).to.have.length(2);
+  });
+});
+
+describe('locale', function () {
+  var polyglot;
+  beforeEach(function () {
+    polyglot = new Polyglot();
+  });
+
+  it('defaults to "en"', function () {
+    expect(polyglot.locale()).to.equal('en');
+  });
+
+  it('gets and sets locale', function () {
+    polyglot.locale('es');
+    expect(polyglot.locale()).to.equal('es');
+
+    polyglot.locale('fr');
+    expect(polyglot.locale()).to.equal('fr');
+  });
+});
+
+describe('locale fallback', function () {
+  var phrasesByLocale = {
+    'pt-BR': {
+      greeting: 'Oi, %{name}!'
+    },
+    pt: {
+      greeting: 'Olá, %{name}!',
+      farewell: 'Tchau!',
+      num_cars: '%{smart_count} carro |||| %{smart_count} carros'
+    },
+    fr: {
+      num_cars: '%{smart_count} voiture |||| %{smart_count} voitures'
+    },
+    en: {
+      greeting: 'Hello, %{name}!',
+      farewell: 'Bye!',
+      only_english: 'Only in English'
+    }
+  };
+
+  it('prefers the most specific locale', function () {
+    var polyglot = new Polyglot({ locale: 'pt-BR', defaultLocale: 'en', phrasesByLocale: phrasesByLocale });
+    expect(polyglot.t('greeting', { name: 'Ana' })).to.equal('Oi, Ana!');
+  });
+
+  it('falls back to the parent locale, then to the default locale', function () {
+    var polyglot = new Polyglot({ locale: 'pt-BR', defaultLocale: 'en', phrasesByLocale: phrasesByLocale });
+    expect(polyglot.t('farewell')).to.equal('Tchau!');
+    expect(polyglot.t('only_english')).to.equal('Only in English');
+  });
+
+  it('prefers phrases passed directly to the instance', function () {
+    var polyglot = new Polyglot({
+      locale: 'pt-BR',
+      phrases: { greeting: 'E aí, %{name}?' },
+      phrasesByLocale: phrasesByLocale
+    });
+    expect(polyglot.t('greeting', { name: 'Ana' })).to.equal('E aí, Ana?');
+  });
+
+  it('defaults the default locale to the locale the instance was created with', function () {
+    var polyglot = new Polyglot({ phrases: { greeting: 'Hello, %{name}!' } });
+    polyglot.locale('fr');
+    expect(polyglot.defaultLocale).to.equal('en');
+    expect(polyglot.t('greeting', { name: 'Ana' })).to.equal('Hello, Ana!');
+
+    var german = new Polyglot({ locale: 'de', phrases: { greeting: 'Hallo, %{name}!' } });
+    german.locale('fr');
+    expect(german.t('greeting', { name: 'Ana' })).to.equal('Hallo, Ana!');
+  });
+
+  it('does not fall back to a default locale set to null', function () {
+    var polyglot = new Polyglot({ defaultLocale: null, phrases: { greeting: 'Hello, %{name}!' } });
+    polyglot.locale('fr');
+    expect(polyglot.has('greeting')).to.equal(false);
+  });
+
+  it('treats a key missing from the whole chain as missing', function () {
+    var onMissingKey = function (key, options, locale) {
+      return 'missing ' + key + ' in ' + locale;
+    };
+    var polyglot = new Polyglot({ locale: 'pt-BR', phrasesByLocale: phrasesByLocale, onMissingKey: onMissingKey });
+    expect(polyglot.t('only_english')).to.equal('missing only_english in pt-BR');
+  });
+
+  it('finds keys with has along the same chain as t', function () {
+    var polyglot = new Polyglot({ locale: 'pt-BR', defaultLocale: 'en', phrasesByLocale: phrasesByLocale });
+    expect(polyglot.has('greeting')).to.equal(true);
+    expect(polyglot.has('farewell')).to.equal(true);
+    expect(polyglot.has('only_english')).to.equal(true);
+    expect(polyglot.has('num_cars')).to.equal(true);
+    expect(polyglot.has('nowhere')).to.equal(false);
+
+    var withoutDefault = new Polyglot({ locale: 'pt-BR', phrasesByLocale: phrasesByLocale });
+    expect(withoutDefault.has('only_english')).to.equal(false);
+  });
+
+  it('uses the configured fallback locales instead of the parent locales', function () {
+    var polyglot = new Polyglot({
+      locale: 'pt-BR',
+      defaultLocale: 'en',
+      fallbackLocales: { 'pt-BR': ['fr'] },
+      phrasesByLocale: phrasesByLocale
+    });
+    expect(polyglot.t('farewell')).to.equal('Bye!');
+    expect(polyglot.t('num_cars', 2)).to.equal('2 voitures');
+  });
+
+  it('pluralizes with the rules of the locale that supplied the phrase', function () {
+    var polyglot = new Polyglot({
+      locale: 'de',
+      fallbackLocales: { de: ['fr'] },
+      phrasesByLocale: phrasesByLocale
+    });
+    // French rule: "0" is singular
+    expect(polyglot.t('num_cars', 0)).to.equal('0 voiture');
+  });
+
+  it('follows the locale set after instantiation', function () {
+    var polyglot = new Polyglot({ locale: 'en', phrasesByLocale: phrasesByLocale });
+    expect(polyglot.t('farewell')).to.equal('Bye!');
+    polyglot.locale('pt-BR');
+    expect(polyglot.t('farewell')).to.equal('Tchau!');
+  });
+});
+
+describe('multiple locales', function () {
+  var polyglot;
+  beforeEach(function () {
+    polyglot = new Polyglot({ locale: 'en', defaultLocale: null, phrases: { hello: 'Hello', bye: 'Bye' } });
+    polyglot.extend({ hello: 'Hallo', nav: { home: 'Startseite' } }, { locale: 'de' });
+  });
+
+  it('switches phrases along with the locale', function () {
+    expect(polyglot.t('hello')).to.equal('Hello');
+    polyglot.locale('de');
+    expect(polyglot.t('hello')).to.equal('Hallo');
+    expect(polyglot.t('nav.home')).to.equal('Startseite');
+    polyglot.locale('en');
+    expect(polyglot.t('hello')).to.equal('Hello');
+  });
+
+  it('exposes the phrases of the current locale', function () {
+    expect(polyglot.phrases).to.deep.equal({ hello: 'Hello', bye: 'Bye' });
+    polyglot.locale('de');
+    expect(polyglot.phrases).to.deep.equal({ hello: 'Hallo', 'nav.home': 'Startseite' });
+  });
+
+  it('extends the current locale by default', function () {
+    polyglot.locale('de');
+    polyglot.extend({ bye: 'Tschüss' });
+    expect(polyglot.t('bye')).to.equal('Tschüss');
+    polyglot.locale('en');
+    expect(polyglot.t('bye')).to.equal('Bye');
+  });
+
+  it('extends another locale with a prefix', function () {
+    polyglot.extend({ about: 'Über uns' }, { locale: 'de', prefix: 'nav' });
+    polyglot.locale('de');
+    expect(polyglot.t('nav.about')).to.equal('Über uns');
+  });
+
+  it('unsets keys of a given locale', function () {
+    polyglot.unset('hello', { locale: 'de' });
+    polyglot.unset({ home: 'Startseite' }, { locale: 'de', prefix: 'nav' });
+    expect(polyglot.has('hello')).to.equal(true);
+    polyglot.locale('de');
+    expect(polyglot.has('hello')).to.equal(false);
+    expect(polyglot.has('nav.home')).to.equal(false);
+  });
+
+  it('replaces the phrases of a given locale only', function () {
+    polyglot.replace({ bye: 'Tschüss' }, { locale: 'de' });
+    expect(polyglot.t('hello')).to.equal('Hello');
+    polyglot.locale('de');
+    expect(polyglot.t('bye')).to.equal('Tschüss');
+    expect(polyglot.has('hello')).to.equal(false);
+  });
+
+  it('clears the phrases of a given locale', function () {
+    polyglot.clear({ locale: 'de' });
+    expect(polyglot.t('hello')).to.equal('Hello');
+    polyglot.locale('de');
+    expect(polyglot.has('hello')).to.equal(false);
+  });
+
+  it('clears the phrases of every locale', function () {
+    polyglot.clear();
+    expect(polyglot.has('hello')).to.equal(false);
+    polyglot.locale('de');
+    expect(polyglot.has('hello')).to.equal(false);
+  });
+});
+
+describe('extend', function () {
+  var polyglot;
+  beforeEach(function () {
+    polyglot = new Polyglot();
+  });
+
+  it('supports multiple extends, overriding old keys', function () {
+    polyglot.extend({ aKey: 'First time' });
+    polyglot.extend({ aKey: 'Second time' });
+    expect(polyglot.t('aKey')).to.equal('Second time');
+  });
+
+  it('does not forget old keys', function () {
+    polyglot.extend({ firstKey: 'Numba one', secondKey: 'Numba two' });
+    polyglot.extend({ secondKey: 'Numero dos' });
+    expect(polyglot.t('firstKey')).to.equal('Numba one');
+  });
+
+  it('supports optional `prefix` argument', function () {
+    polyglot.extend({ click: 'Click', hover: 'Hover' }, 'sidebar');
+    expect(polyglot.phrases['sidebar.click']).to.equal('Click');
+    expect(polyglot.phrases['sidebar.hover']).to.equal('Hover');
+    expect(polyglot.phrases).not.to.have.property('click');
+  });
+
+  it('supports nested object', function () {
+    polyglot.extend({
+      sidebar: {
+        click: 'Click',
+        hover: 'Hover'
+      },
+      nav: {
+        header: {
+          log_in: 'Log In'
+        }
+      }
+    });
+    expect(polyglot.phrases['sidebar.click']).to.equal('Click');
+    expect(polyglot.phrases['sidebar.hover']).to.equal('Hover');
+    expect(polyglot.phrases['nav.header.log_in']).to.equal('Log In');
+    expect(polyglot.phrases).not.to.have.property('click');
+    expect(polyglot.phrases).not.to.have.property('header.log_in');
+    expect(polyglot.phrases).not.to.have.property('log_in');
+  });
+});
+
+describe('clear', function () {
+  var polyglot;
+  beforeEach(function () {
+    polyglot = new Polyglot();
+  });
+
+  it('wipes out old phrases', function () {
+    polyglot.extend({ hiFriend: 'Hi, Friend.' });
+    polyglot.clear();
+    expect(polyglot.t('hiFriend')).to.equal('hiFriend');
+  });
+});
+
+describe('replace', function () {
+  var polyglot;
+  beforeEach(function () {
+    polyglot = new Polyglot();
+  });
+
+  it('wipes out old phrases and replace with new phrases', function () {
+    polyglot.extend({ hiFriend: 'Hi, Friend.', byeFriend: 'Bye, Friend.' });
+    polyglot.replace({ hiFriend: 'Hi, Friend.' });
+    expect(polyglot.t('hiFriend')).to.equal('Hi, Friend.');
+    expect(polyglot.t('byeFriend')).to.equal('byeFriend');
+  });
+});
+
+describe('unset', function () {
+  var polyglot;
+  beforeEach(function () {
+    polyglot = new Polyglot();
+  });
+
+  it('unsets a key based on a string', function () {
+    polyglot.extend({ test_key: 'test_value' });
+    expect(polyglot.has('test_key')).to.equal(true);
+
+    polyglot.unset('test_key');
+    expect(polyglot.has('test_key')).to.equal(false);
+  });
+
+  it('unsets a key based on an object hash', function () {
+    polyglot.extend({ test_key: 'test_value', foo: 'bar' });
+    expect(polyglot.has('test_key')).to.equal(true);
+    expect(polyglot.has('foo')).to.equal(true);
+
+    polyglot.unset({ test_key: 'test_value', foo: 'bar' });
+    expect(polyglot.has('test_key')).to.equal(false);
+    expect(polyglot.has('foo')).to.equal(false);
+  });
+
+  it('unsets nested objects using recursive prefix call', function () {
+    polyglot.extend({ foo: { bar: 'foobar' } });
+    expect(polyglot.has('foo.bar')).to.equal(true);
+
+    polyglot.unset({ foo: { bar: 'foobar' } });
+    expect(polyglot.has('foo.bar')).to.equal(false);
+  });
+
+  it('treats null phrases as keys, like extend', function () {
+    polyglot.extend({ foo: { bar: null, baz: 'foobaz' } });
+    expect(polyglot.has('foo.bar')).to.equal(false);
+    expect(polyglot.phrases).to.have.property('foo.bar', null);
+
+    polyglot.unset({ foo: { bar: null, baz: null } });
+    expect(polyglot.phrases).to.eql({});
+  });
+});
+
+describe('load', function () {
+  var calls, polyglot;
+  var bundles = {
+    de: {
+      checkout: { pay: 'Jetzt bezahlen', total: 'Summe: %{total}' },
+      nav: { home: 'Startseite' }
+    }
+  };
+  beforeEach(function () {
+    calls = [];
+    polyglot = new Polyglot({
+      locale: 'de',
+      defaultLocale: null,
+      loader: function (locale, namespace) {
+        calls.push(locale + '/' + namespace);
+        if (!bundles[locale] || !bundles[locale][namespace]) {
+          return Promise.reject(new Error('No phrases for ' + locale + '/' + namespace));
+        }
+        return Promise.resolve(bundles[locale][namespace]);
+      }
+    });
+  });
+
+  it('adds the phrases of the namespaces with the namespace as their prefix', function () {
+    return polyglot.load('de', ['checkout', 'nav']).then(function (result) {
+      expect(result).to.equal(undefined);
+      expect(polyglot.t('checkout.total', { total: '5 €' })).to.equal('Summe: 5 €');
+      expect(polyglot.t('nav.home')).to.equal('Startseite');
+      expect(calls).to.eql(['de/checkout', 'de/nav']);
+    });
+  });
+
+  it('adds the phrases to the given locale', function () {
+    polyglot.locale('en');
+    return polyglot.load('de', 'nav').then(function () {
+      expect(polyglot.has('nav.home')).to.equal(false);
+      polyglot.locale('de');
+      expect(polyglot.t('nav.home')).to.equal('Startseite');
+    });
+  });
+
+  it('loads each namespace once, even while it is being loaded', function () {
+    var first = polyglot.load('de', 'checkout');
+    var second = polyglot.load('de', ['checkout', 'nav']);
+    return Promise.all([first, second]).then(function () {
+      return polyglot.load('de', 'checkout');
+    }).then(function () {
+      expect(calls).to.eql(['de/checkout', 'de/nav']);
+    });
+  });
+
+  it('hands the keys of namespaces that are not loaded to onMissingKey', function () {
+    var missing = [];
+    polyglot.onMissingKey = function (key) {
+      missing.push(key);
+      return 'missing';
+    };
+    expect(polyglot.t('checkout.pay')).to.equal('missing');
+    return polyglot.load('de', 'checkout').then(function () {
+      expect(polyglot.t('checkout.pay')).to.equal('Jetzt bezahlen');
+      expect(missing).to.eql(['checkout.pay']);
+    });
+  });
+
+  it('rejects when a namespace fails to load, and loads it again next time', function () {
+    return polyglot.load('de', ['nav', 'account']).then(function () {
+      throw new Error('Expected the load to fail');
+    }, function (error) {
+      expect(error.message).to.equal('No phrases for de/account');
+      expect(polyglot.t('nav.home')).to.equal('Startseite');
+      return polyglot.load('de', 'account').catch(function () {});
+    }).then(function () {
+      expect(calls).to.eql(['de/nav', 'de/account', 'de/account']);
+    });
+  });
+
+  it('rejects when the loader resolves to anything but an object of phrases', function () {
+    var results = ['Startseite', null, ['Startseite']];
+    polyglot.loader = function () {
+      return Promise.resolve(results.shift());
+    };
+    var expectRejection = function () {
+      return polyglot.load('de', 'nav').then(function () {
+        throw new Error('Expected the load to fail');
+      }, function (error) {
+        expect(error).to.be.an.instanceof(TypeError);
+        expect(error.message).to.equal('Expected the loader to resolve to an object of phrases for de/nav');
+        expect(polyglot.phrasesByLocale.de || {}).to.eql({});
+      });
+    };
+    return expectRejection().then(expectRejection).then(expectRejection);
+  });
+
+  it('loads the namespaces of a cleared locale again', function () {
+    return polyglot.load('de', 'nav').then(function () {
+      polyglot.clear({ locale: 'de' });
+      expect(polyglot.has('nav.home')).to.equal(false);
+      return polyglot.load('de', 'nav');
+    }).then(function () {
+      expect(polyglot.t('nav.home')).to.equal('Startseite');
+      expect(calls).to.eql(['de/nav', 'de/nav']);
+    });
+  });
+
+  it('drops phrases that arrive after their locale was cleared', function () {
+    var loading = polyglot.load('de', 'nav');
+    polyglot.clear();
+    return loading.then(function () {
+      expect(polyglot.has('nav.home')).to.equal(false);
+    });
+  });
+
+  it('throws without a loader', function () {
+    expect(function () { new Polyglot().load('de', 'nav'); }).to.throw(Error, 'Cannot load phrases without the `loader` option');
+  });
+
+  it('throws for a locale or namespaces of the wrong type', function () {
+    var message = 'Expected the namespaces to load to be a string or an array of strings';
+    expect(function () { polyglot.load('de'); }).to.throw(TypeError, message);
+    expect(function () { polyglot.load('de', { nav: true }); }).to.throw(TypeError, message);
+    expect(function () { polyglot.load('de', ['nav', 1]); }).to.throw(TypeError, message);
+    expect(function () { polyglot.load(['de'], 'nav'); }).to.throw(TypeError, 'Expected the locale to load to be a string');
+    expect(calls).to.eql([]);
+    expect(polyglot.namespaceLoads).to.eql({});
+  });
+});
+
+describe('events', function () {
+  var events, polyglot;
+  var record = function (type) {
+    return function (event) { events.push([type, event]); };
+  };
+  beforeEach(function () {
+    events = [];
+    polyglot = new Polyglot({ locale: 'en', phrases: { hello: 'Hello', bye: 'Bye' } });
+    polyglot.on('change', record('change'));
+    polyglot.on('localeChange', record('localeChange'));
+    polyglot.on('missingKey', record('missingKey'));
+  });
+
+  it('emits change events with the locale and keys of extended phrases', function () {
+    polyglot.extend({ nav: { home: 'Home' } });
+    polyglot.extend({ hallo: 'Hallo' }, { locale: 'de', prefix: 'greetings' });
+    polyglot.extend({});
+    expect(events).to.eql([
+      ['change', { locale: 'en', keys: ['nav.home'] }],
+      ['change', { locale: 'de', keys: ['greetings.hallo'] }]
+    ]);
+  });
+
+  it('emits change events with the keys that unset removes', function () {
+    polyglot.unset('hello');
+    polyglot.unset({ bye: 'Bye', missing: 'Missing' });
+    polyglot.unset('hello');
+    expect(events).to.eql([
+      ['change', { locale: 'en', keys: ['hello'] }],
+      ['change', { locale: 'en', keys: ['bye'] }]
+    ]);
+  });
+
+  it('emits a change event for each locale that clear empties', function () {
+    polyglot.extend({ hallo: 'Hallo' }, { locale: 'de' });
+    events = [];
+    polyglot.clear();
+    expect(events).to.eql([
+      ['change', { locale: 'en', keys: ['hello', 'bye'] }],
+      ['change', { locale: 'de', keys: ['hallo'] }]
+    ]);
+  });
+
+  it('emits a single change event for replace', function () {
+    polyglot.replace({ hello: 'Hi', welcome: 'Welcome' });
+    expect(events).to.eql([
+      ['change', { locale: 'en', keys: ['hello', 'bye', 'welcome'] }]
+    ]);
+  });
+
+  it('emits change events for loaded namespaces', function () {
+    polyglot = new Polyglot({
+      loader: function () { return Promise.resolve({ pay: 'Pay' }); }
+    });
+    polyglot.on('change', record('change'));
+    return polyglot.load('en', 'checkout').then(function () {
+      expect(events).to.eql([['change', { locale: 'en', keys: ['checkout.pay'] }]]);
+    });
+  });
+
+  it('emits localeChange events with the old and new locale', function () {
+    polyglot.locale('de');
+    polyglot.locale('de');
+    polyglot.locale();
+    expect(events).to.eql([['localeChange', { oldLocale: 'en', newLocale: 'de' }]]);
+  });
+
+  it('emits missingKey events with the key, the current locale and the options', function () {
+    polyglot.t('hello');
+    polyglot.t('missing');
+    polyglot.tParts('missing', { _: 'Default' });
+    expect(events).to.eql([
+      ['missingKey', { key: 'missing', locale: 'en', options: {} }],
+      ['missingKey', { key: 'missing', locale: 'en', options: { _: 'Default' } }]
+    ]);
+  });
+
+  it('stops calling listeners that are unsubscribed or turned off', function () {
+    var calls = 0;
+    var listener = function () { calls += 1; };
+    var unsubscribe = polyglot.on('change', listener);
+    polyglot.on('localeChange', listener);
+    polyglot.extend({ a: 'A' });
+    unsubscribe();
+    unsubscribe();
+    polyglot.extend({ b: 'B' });
+    polyglot.locale('de');
+    polyglot.off('localeChange', listener);
+    polyglot.locale('fr');
+    expect(calls).to.equal(2);
+  });
+
+  it('counts changes in revision, for useSyncExternalStore', function () {
+    var snapshots = [];
+    var getSnapshot = function () { return polyglot.revision; };
+    var subscribe = function (onStoreChange) {
+      var offChange = polyglot.on('change', onStoreChange);
+      var offLocaleChange = polyglot.on('localeChange', onStoreChange);
+      return function () {
+        offChange();
+        offLocaleChange();
+      };
+    };
+    var unsubscribe = subscribe(function () { snapshots.push(getSnapshot()); });
+    var initial = getSnapshot();
+    polyglot.extend({ a: 'A' });
+    polyglot.t('missing');
+    polyglot.locale('de');
+    unsubscribe();
+    polyglot.extend({ b: 'B' });
+    expect(snapshots).to.eql([initial + 1, initial + 2]);
+    expect(getSnapshot()).to.equal(initial + 3);
+  });
+
+  it('throws for unknown event types', function () {
+    expect(function () { polyglot.on('update', function () {}); }).to.throw(RangeError, 'Unknown event type "update"');
+  });
+});
+
+describe('scope', function () {
+  var polyglot, payment;
+  beforeEach(function () {
+    polyglot = new Polyglot({
+      locale: 'ru',
+      phrases: {
+        checkout: {
+          payment: {
+            pay: 'Оплатить %{total}',
+            cards: '%{smart_count} карта |||| %{smart_count} карты |||| %{smart_count} карт'
+          }
+        }
+      }
+    });
+    payment = polyglot.scope('checkout.payment');
+  });
+
+  it('translates keys under its prefix with the locale and plural rules of its parent', function () {
+    expect(payment.t('pay', { total: '5 ₽' })).to.equal('Оплатить 5 ₽');
+    expect(payment.t('cards', 5)).to.equal('5 карт');
+    var total = { amount: 5 };
+    expect(payment.tParts('pay', { total: total })).to.eql(['Оплатить ', total]);
+  });
+
+  it('checks keys under its prefix', function () {
+    expect(payment.has('pay')).to.equal(true);
+    expect(payment.has('checkout.payment.pay')).to.equal(false);
+  });
+
+  it('extends the phrases of its parent under its prefix', function () {
+    payment.extend({ card: { number: 'Номер карты' } });
+    payment.extend({ cvc: 'CVC' }, 'card');
+    payment.extend({ pay: 'Pay %{total}' }, { locale: 'en' });
+    expect(polyglot.t('checkout.payment.card.number')).to.equal('Номер карты');
+    expect(polyglot.t('checkout.payment.card.cvc')).to.equal('CVC');
+    polyglot.locale('en');
+    expect(payment.t('pay', { total: '$5' })).to.equal('Pay $5');
+  });
+
+  it('shares the interpolation syntax and missing keys of its parent', function () {
+    var missing = [];
+    polyglot = new Polyglot({
+      phrases: { nav: { hello: 'Hello, {{name}}' } },
+      interpolation: { prefix: '{{', suffix: '}}' },
+      onMissingKey: function (key) {
+        missing.push(key);
+        return key;
+      }
+    });
+    var nav = polyglot.scope('nav');
+    expect(nav.t('hello', { name: 'Spike' })).to.equal('Hello, Spike');
+    expect(nav.t('bye')).to.equal('nav.bye');
+    expect(missing).to.eql(['nav.bye']);
+  });
+
+  it('returns narrower scopes', function () {
+    var checkout = polyglot.scope('checkout');
+    expect(checkout.scope('payment').t('pay', { total: 1 })).to.equal('Оплатить 1');
+  });
+});
+
+describe('references', function () {
+  var warnings, polyglot;
+  beforeEach(function () {
+    warnings = [];
+    polyglot = new Polyglot({
+      phrases: {
+        brand: { plus: 'Airbnb Plus', host: '%{name}, a $t(brand.plus) host' },
+        welcome: 'Welcome to $t(brand.plus)!',
+        hosted: 'Hosted by $t( brand.host )',
+        homes: '%{smart_count} $t(brand.plus) home |||| %{smart_count} $t(brand.plus) homes',
+        terms: 'Read the <link>$t(brand.plus) terms</link>',
+        loop: { a: 'A $t(loop.b)', b: 'B $t(loop.a)', self: '$t(loop.self)' },
+        missing: 'Try $t(brand.luxe)'
+      },
+      warn: function (message) { warnings.push(message); }
+    });
+  });
+
+  it('replaces references with the translation of their key', function () {
+    expect(polyglot.t('welcome')).to.equal('Welcome to Airbnb Plus!');
+    expect(polyglot.t('homes', 2)).to.equal('2 Airbnb Plus homes');
+  });
+
+  it('resolves nested references with the same substitutions', function () {
+    expect(polyglot.t('hosted', { name: 'Ana' })).to.equal('Hosted by Ana, a Airbnb Plus host');
+  });
+
+  it('resolves references in defaults, but does not use the defaults for references', function () {
+    expect(polyglot.t('unknown', { _: 'Join $t(brand.plus)' })).to.equal('Join Airbnb Plus');
+    expect(polyglot.t('missing', { _: 'Default' })).to.equal('Try brand.luxe');
+    expect(warnings).to.eql(['Missing translation for key: "brand.luxe"']);
+  });
+
+  it('hands references to missing keys to onMissingKey', function () {
+    polyglot.onMissingKey = function (key) { return '[' + key + ']'; };
+    expect(polyglot.t('missing')).to.equal('Try [brand.luxe]');
+  });
+
+  it('inserts the results for missing keys as text, neither isolated nor escaped', function () {
+    polyglot.isolate = true;
+    polyglot.escape = true;
+    polyglot.onMissingKey = function (key) { return '<' + key + '>'; };
+    expect(polyglot.t('missing')).to.equal('Try <brand.luxe>');
+    expect(polyglot.tParts('missing')).to.eql(['Try <brand.luxe>']);
+  });
+
+  it('does not resolve references in substituted values', function () {
+    expect(polyglot.t('brand.host', { name: '$t(brand.plus)' })).to.equal('$t(brand.plus), a Airbnb Plus host');
+  });
+
+  it('wraps the text of references with tParts', function () {
+    var link = function (parts) { return { link: parts }; };
+    expect(polyglot.tParts('terms', { link: link })).to.eql(['Read the ', { link: ['Airbnb Plus terms'] }]);
+  });
+
+  it('leaves circular references as they are, with a warning', function () {
+    expect(polyglot.t('loop.a')).to.equal('A B $t(loop.a)');
+    expect(polyglot.t('loop.self')).to.equal('$t(loop.self)');
+    expect(warnings).to.eql([
+      'Circular reference to key "loop.a": loop.a -> loop.b -> loop.a',
+      'Circular reference to key "loop.self": loop.self -> loop.self'
+    ]);
+  });
+
+  it('leaves references nested more than 10 levels deep as they are, with a warning', function () {
+    var phrases = {};
+    for (var i = 0; i < 12; i += 1) {
+      phrases['level' + i] = i + ' $t(level' + (i + 1) + ')';
+    }
+    polyglot.extend(phrases);
+    expect(polyglot.t('level0')).to.equal('0 1 2 3 4 5 6 7 8 9 $t(level10)');
+    expect(warnings).to.eql([
+      'Reference to key "level10" nested more than 10 levels deep: level0 -> level1 -> level2 -> level3'
+      + ' -> level4 -> level5 -> level6 -> level7 -> level8 -> level9 -> level10'
+    ]);
+  });
+
+  it('resolves references in ICU messages', function () {
+    polyglot = new Polyglot({
+      messageFormat: 'icu',
+      phrases: { brand: 'Airbnb Plus', homes: '{count, plural, one {# $t(brand) home} other {# $t(brand) homes}}' }
+    });
+    expect(polyglot.t('homes', { count: 3 })).to.equal('3 Airbnb Plus homes');
+  });
+});
+
+describe('context', function () {
+  var polyglot;
+  beforeEach(function () {
+    polyglot = new Polyglot({
+      locale: 'de',
+      phrases: {
+        post: 'Beitrag',
+        'post@verb': 'Veröffentlichen',
+        actions: { 'share@verb': 'Teilen', 'count@verb': '%{smart_count} Mal teilen' }
+      }
+    });
+  });
+
+  it('translates the phrase for the context of the key', function () {
+    expect(polyglot.t('post', { context: 'verb' })).to.equal('Veröffentlichen');
+    expect(polyglot.t('actions.count', { context: 'verb', smart_count: 2 })).to.equal('2 Mal teilen');
+  });
+
+  it('falls back to the phrase of the key without a phrase for the context', function () {
+    expect(polyglot.t('post', { context: 'title' })).to.equal('Beitrag');
+    expect(polyglot.t('post', { context: '' })).to.equal('Beitrag');
+    expect(polyglot.t('post')).to.equal('Beitrag');
+  });
+
+  it('keeps contexts in nested phrases and prefixes', function () {
+    polyglot.extend({ 'like@verb': 'Gefällt mir' }, 'actions');
+    expect(polyglot.t('actions.share', { context: 'verb' })).to.equal('Teilen');
+    expect(polyglot.t('actions.like', { context: 'verb' })).to.equal('Gefällt mir');
+    expect(polyglot.scope('actions').t('share', { context: 'verb' })).to.equal('Teilen');
+  });
+
+  it('tries the context, then the key, in each locale of the fallback chain', function () {
+    polyglot = new Polyglot({
+      locale: 'de-AT',
+      phrasesByLocale: {
+        'de-AT': { 'post@verb': 'Posten' },
+        de: { post: 'Beitrag', 'post@verb': 'Veröffentlichen', like: 'Mögen' },
+        en: { 'like@verb': 'Like' }
+      },
+      defaultLocale: 'en'
+    });
+    expect(polyglot.t('post', { context: 'verb' })).to.equal('Posten');
+    expect(polyglot.t('post', { context: 'noun' })).to.equal('Beitrag');
+    expect(polyglot.t('like', { context: 'verb' })).to.equal('Mögen');
+  });
+
+  it('hands missing keys to onMissingKey without the context', function () {
+    var missing = [];
+    polyglot.onMissingKey = function (key, options) {
+      missing.push([key, options.context]);
+      return key;
+    };
+    expect(polyglot.t('comment', { context: 'verb' })).to.equal('comment');
+    expect(missing).to.eql([['comment', 'verb']]);
+  });
+
+  it('checks keys for a context with has', function () {
+    expect(polyglot.has('actions.share', { context: 'verb' })).to.equal(true);
+    expect(polyglot.has('actions.share')).to.equal(false);
+    expect(polyglot.has('post', { context: 'title' })).to.equal(true);
+    expect(polyglot.scope('actions').has('share', { context: 'verb' })).to.equal(true);
+  });
+});
+
+describe('getMissingReport', function () {
+  var batches, warnings;
+  var transport = function (entries) { batches.push(entries); };
+  var warn = function () {};
+  beforeEach(function () {
+    batches = [];
+    warnings = [];
+  });
+
+  it('reports each missing key once per locale, with its substitutions and count', function () {
+    var before = Date.now();
+    var polyglot = new Polyglot({
+      locale: 'de',
+      phrases: { hello: 'Hallo' },
+      warn: warn,
+      reportMissingKeys: true
+    });
+    polyglot.t('hello');
+    polyglot.t('checkout.pay', { total: '5 €', _: 'Pay' });
+    polyglot.t('checkout.pay', { total: '5 €', method: 'card', context: 'button' });
+    polyglot.t('cars', 2);
+    polyglot.locale('fr');
+    polyglot.tParts('checkout.pay');
+
+    var report = polyglot.getMissingReport();
+    expect(report.map(function (entry) {
+      return [entry.locale, entry.key, entry.substitutions, entry.count];
+    })).to.eql([
+      ['de', 'checkout.pay', ['total', 'method'], 2],
+      ['de', 'cars', ['smart_count'], 1],
+      ['fr', 'checkout.pay', [], 1]
+    ]);
+    expect(report[0].firstSeen).to.be.within(before, Date.now());
+  });
+
+  it('returns a snapshot', function () {
+    var polyglot = new Polyglot({ warn: warn, reportMissingKeys: true });
+    polyglot.t('missing', { a: 1 });
+    var report = polyglot.getMissingReport();
+    report[0].substitutions.push('b');
+    polyglot.t('missing');
+    expect(report[0].count).to.equal(1);
+    expect(polyglot.getMissingReport()[0]).to.include({ count: 2 });
+    expect(polyglot.getMissingReport()[0].substitutions).to.eql(['a']);
+  });
+
+  it('returns no entries without the reportMissingKeys option', function () {
+    var polyglot = new Polyglot({ warn: warn });
+    polyglot.t('missing');
+    expect(polyglot.getMissingReport()).to.eql([]);
+  });
+
+  it('sends new entries to the transport in batches', function () {
+    var polyglot = new Polyglot({ warn: warn, reportMissingKeys: { transport: transport, batchSize: 2 } });
+    polyglot.t('a');
+    polyglot.t('a');
+    expect(batches).to.eql([]);
+    polyglot.t('b', { name: 'Spike' });
+    polyglot.t('c');
+    expect(batches.map(function (batch) {
+      return batch.map(function (entry) { return [entry.key, entry.substitutions, entry.count]; });
+    })).to.eql([[['a', [], 2], ['b', ['name'], 1]]]);
+    polyglot.flushMissingKeys();
+    polyglot.flushMissingKeys();
+    expect(batches).to.have.length(2);
+    expect(batches[1][0].key).to.equal('c');
+  });
+
+  it('sends new entries after the flush interval', function () {
+    var polyglot = new Polyglot({
+      warn: warn,
+      reportMissingKeys: { transport: transport, flushInterval: 5 }
+    });
+    polyglot.t('a');
+    polyglot.t('b');
+    expect(batches).to.eql([]);
+    return new Promise(function (resolve) { setTimeout(resolve, 20); }).then(function () {
+      expect(batches).to.have.length(1);
+      expect(batches[0].map(function (entry) { return entry.key; })).to.eql(['a', 'b']);
+    });
+  });
+
+  it('warns when the transport fails', function () {
+    var polyglot = new Polyglot({
+      warn: function (message) { warnings.push(message); },
+      reportMissingKeys: {
+        batchSize: 1,
+        transport: function (entries) {
+          if (entries[0].key === 'a') {
+            throw new Error('Offline');
+          }
+          return Promise.reject(new Error('Server error'));
+        }
+      }
+    });
+    polyglot.t('a', { _: 'A' });
+    polyglot.t('b', { _: 'B' });
+    return new Promise(function (resolve) { setTimeout(resolve, 0); }).then(function () {
+      expect(warnings).to.eql([
+        'Could not report missing keys: Offline',
+        'Could not report missing keys: Server error'
+      ]);
+    });
+  });
+});
+
+describe('pseudo-localization', function () {
+  var polyglot;
+  beforeEach(function () {
+    polyglot = new Polyglot({
+      locale: 'en-XA',
+      phrasesByLocale: {
+        en: {
+          hello: 'Hello, %{name}',
+          cars: '%{smart_count} car |||| %{smart_count} cars',
+          terms: 'Read <link>the terms</link> &amp; more',
+          brand: 'Plus',
+          welcome: 'Join $t(brand)'
+        }
+      },
+      warn: function () {}
+    });
+  });
+
+  it('accents, lengthens and brackets the text of phrases', function () {
+    expect(polyglot.t('hello')).to.equal('[Ĥéļļö, %{name} ~~~]');
+    expect(polyglot.t('hello', { name: 'Spike' })).to.equal('[Ĥéļļö, Spike ~~~]');
+  });
+
+  it('keeps selecting plural variants', function () {
+    expect(polyglot.t('cars', 1)).to.equal('[1 çåŕ ~~]');
+    expect(polyglot.t('cars', 2)).to.equal('[2 çåŕš ~~]');
+  });
+
+  it('leaves tags and HTML entities as they are', function () {
+    var link = function (parts) { return { link: parts }; };
+    expect(polyglot.t('terms')).to.equal('[Ŕéåð <link>ţĥé ţéŕṁš</link> &amp; ṁöŕé ~~~~~~~~]');
+    expect(polyglot.tParts('terms', { link: link })).to.eql([
+      '[Ŕéåð ',
+      { link: ['ţĥé ţéŕṁš'] },
+      ' &amp; ṁöŕé ~~~~~~~~]'
+    ]);
+  });
+
+  it('brackets phrases with their references once', function () {
+    expect(polyglot.t('welcome')).to.equal('[Ĵöîñ Þļûš ~~~~]');
+  });
+
+  it('leaves missing keys alone', function () {
+    expect(polyglot.t('missing')).to.equal('missing');
+  });
+
+  it('follows custom interpolation', function () {
+    polyglot = new Polyglot({
+      locale: 'en-XA',
+      phrases: { hello: 'Hi, {{name}}' },
+      interpolation: { prefix: '{{', suffix: '}}' }
+    });
+    expect(polyglot.t('hello')).to.equal('[Ĥî, {{name}} ~~]');
+  });
+
+  it('leaves ICU arguments without a value as they are', function () {
+    polyglot = new Polyglot({
+      locale: 'en-XA',
+      messageFormat: 'icu',
+      phrases: { hello: 'Hello, {name}', cars: '{count, plural, one {# car} other {# cars}}' }
+    });
+    expect(polyglot.t('hello')).to.equal('[Ĥéļļö, {name} ~~~]');
+    expect(polyglot.t('hello', { name: 'Spike' })).to.equal('[Ĥéļļö, Spike ~~~]');
+    expect(polyglot.t('cars', { count: 2 })).to.equal('[2 çåŕš ~~]');
+  });
+
+  it('uses the pseudoLocales option', function () {
+    polyglot = new Polyglot({ locale: 'qps-ploc', pseudoLocales: ['qps-ploc'], phrases: { ok: 'OK' } });
+    expect(polyglot.t('ok')).to.equal('[ÖĶ ~]');
+    polyglot.locale('en-XA');
+    polyglot.extend({ ok: 'OK' });
+    expect(polyglot.t('ok')).to.equal('OK');
+  });
+});
+
+describe('direction', function () {
+  it('returns the direction of the current locale', function () {
+    var polyglot = new Polyglot({ locale: 'en' });
+    expect(polyglot.direction()).to.equal('ltr');
+    polyglot.locale('ar-EG');
+    expect(polyglot.direction()).to.equal('rtl');
+    polyglot.locale('he');
+    expect(polyglot.direction()).to.equal('rtl');
+  });
+
+  it('returns the direction of a locale', function () {
+    expect(Polyglot.direction('fa_IR')).to.equal('rtl');
+    expect(Polyglot.direction('ur')).to.equal('rtl');
+    expect(Polyglot.direction('ru')).to.equal('ltr');
+    expect(Polyglot.direction('az-Arab')).to.equal('rtl');
+    expect(Polyglot.direction('ku-Latn-TR')).to.equal('ltr');
+    expect(Polyglot.direction('ar-XB')).to.equal('rtl');
+    expect(Polyglot.direction()).to.equal('ltr');
+  });
+});
+
+describe('isolate', function () {
+  var phrases = {
+    hello: 'مرحبا، %{name}!',
+    cars: '%{smart_count} سيارة',
+    terms: 'اقرأ <link>الشروط</link>، %{name}'
+  };
+
+  it('wraps interpolated values in isolation marks', function () {
+    var polyglot = new Polyglot({ locale: 'ar', phrases: phrases, isolate: true });
+    expect(polyglot.t('hello', { name: 'Spike' })).to.equal('مرحبا، \u2068Spike\u2069!');
+    expect(polyglot.t('cars', 3)).to.equal('\u20683\u2069 سيارة');
+    expect(polyglot.t('hello')).to.equal('مرحبا، %{name}!');
+  });
+
+  it('wraps the elements of tParts', function () {
+    var polyglot = new Polyglot({ locale: 'ar', phrases: phrases, isolate: true });
+    var name = { name: 'Spike' };
+    var link = function (parts) { return { link: parts }; };
+    expect(polyglot.tParts('terms', { name: name, link: link })).to.eql([
+      'اقرأ ',
+      { link: ['الشروط'] },
+      '، \u2068',
+      name,
+      '\u2069'
+    ]);
+  });
+
+  it('is overridden by the isolate option of a call', function () {
+    var polyglot = new Polyglot({ locale: 'ar', phrases: phrases });
+    expect(polyglot.t('hello', { name: 'Spike' })).to.equal('مرحبا، Spike!');
+    expect(polyglot.t('hello', { name: 'Spike', isolate: true })).to.equal('مرحبا، \u2068Spike\u2069!');
+    polyglot = new Polyglot({ locale: 'ar', phrases: phrases, isolate: true });
+    expect(polyglot.t('hello', { name: 'Spike', isolate: false })).to.equal('مرحبا، Spike!');
+  });
+
+  it('isolates escaped values', function () {
+    var polyglot = new Polyglot({ phrases: { hello: 'Hello, %{name}' }, isolate: true, escape: true });
+    expect(polyglot.t('hello', { name: '<b>' })).to.equal('Hello, \u2068&lt;b&gt;\u2069');
+  });
+});
+
+describe('transformPhrase', function () {
+  var simple = '%{name} is %{attribute}';
+  var english = '%{smart_count} Name |||| %{smart_count} Names';
+  var arabic = [
+    'ولا صوت',
+    'صوت واحد',
+    'صوتان',
+    '%{smart_count} أصوات',
+    '%{smart_count} صوت',
+    '%{smart_count} صوت'
+  ].join(' |||| ');
+
+  it('does simple interpolation', function () {
+    expect(Polyglot.transformPhrase(simple, { name: 'Polyglot', attribute: 'awesome' })).to.equal('Polyglot is awesome');
+  });
+
+  it('removes missing keys', function () {
+    expect(Polyglot.transformPhrase(simple, { name: 'Polyglot' })).to.equal('Polyglot is %{attribute}');
+  });
+
+  it('selects the correct plural form based on smart_count', function () {
+    expect(Polyglot.transformPhrase(english, { smart_count: 0 }, 'en')).to.equal('0 Names');
+    expect(Polyglot.transformPhrase(english, { smart_count: 1 }, 'en')).to.equal('1 Name');
+    expect(Polyglot.transformPhrase(english, { smart_count: 2 }, 'en')).to.equal('2 Names');
+    expect(Polyglot.transformPhrase(english, { smart_count: 3 }, 'en')).to.equal('3 Names');
+  });
+
+  it('selects the correct locale', function () {
+    // French rule: "0" is singular
+    expect(Polyglot.transformPhrase(english, { smart_count: 0 }, 'fr')).to.equal('0 Name');
+    expect(Polyglot.transformPhrase(english, { smart_count: 1 }, 'fr')).to.equal('1 Name');
+    expect(Polyglot.transformPhrase(english, { smart_count: 2 }, 'fr')).to.equal('2 Names');
+    expect(Polyglot.transformPhrase(english, { smart_count: 3 }, 'fr')).to.equal('3 Names');
+
+    // Arabic has 6 rules
+    expect(Polyglot.transformPhrase(arabic, 0, 'ar')).to.equal('ولا صوت');
+    expect(Polyglot.transformPhrase(arabic, 1, 'ar')).to.equal('صوت واحد');
+    expect(Polyglot.transformPhrase(arabic, 2, 'ar')).to.equal('صوتان');
+    expect(Polyglot.transformPhrase(arabic, 3, 'ar')).to.equal('3 أصوات');
+    expect(Polyglot.transformPhrase(arabic, 11, 'ar')).to.equal('11 صوت');
+    expect(Polyglot.transformPhrase(arabic, 102, 'ar')).to.equal('102 صوت');
+  });
+
+  it('defaults to `en`', function () {
+    // French rule: "0" is singular
+    expect(Polyglot.transformPhrase(english, { smart_count: 0 })).to.equal('0 Names');
+  });
+
+  it('ignores a region subtag when choosing a pluralization rule', function () {
+    // French rule: "0" is singular
+    expect(Polyglot.transformPhrase(english, { smart_count: 0 }, 'fr-FR')).to.equal('0 Name');
+  });
+
+  it('works without arguments', function () {
+    expect(Polyglot.transformPhrase(english)).to.equal(english);
+  });
+
+  it('respects a number as shortcut for smart_count', function () {
+    expect(Polyglot.transformPhrase(english, 0, 'en')).to.equal('0 Names');
+    expect(Polyglot.transformPhrase(english, 1, 'en')).to.equal('1 Name');
+    expect(Polyglot.transformPhrase(english, 5, 'en')).to.equal('5 Names');
+  });
+
+  it('throws without sane phrase string', function () {
+    expect(function () { Polyglot.transformPhrase(); }).to.throw(TypeError);
+    expect(function () { Polyglot.transformPhrase(null); }).to.throw(TypeError);
+    expect(function () { Polyglot.transformPhrase(32); }).to.throw(TypeError);
+    expect(function () { Polyglot.transformPhrase({}); }).to.throw(TypeError);
+  });
+});
+
+describe('pluralCategories, pluralVariantCount and pluralTypeName', function () {
+  it('returns the plural categories of a locale', function () {
+    expect(Polyglot.pluralCategories('ru')).to.deep.equal(['one', 'few', 'many', 'other']);
+    expect(Polyglot.pluralCategories('zh')).to.deep.equal(['other']);
+    expect(Polyglot.pluralCategories()).to.deep.equal(['one', 'other']);
+  });
+
+  it('returns the number of plural variants of a locale', function () {
+    expect(Polyglot.pluralVariantCount('en')).to.equal(2);
+    expect(Polyglot.pluralVariantCount('ru')).to.equal(3);
+    expect(Polyglot.pluralVariantCount('ar')).to.equal(6);
+    expect(Polyglot.pluralVariantCount('zh')).to.equal(1);
+    expect(Polyglot.pluralVariantCount('cy')).to.equal(6);
+    expect(Polyglot.pluralVariantCount()).to.equal(2);
+  });
+
+  it('returns the plural type of a locale', function () {
+    expect(Polyglot.pluralTypeName('ru-RU')).to.equal('russian');
+    expect(Polyglot.pluralTypeName('fr')).to.equal('french');
+    expect(Polyglot.pluralTypeName('xx')).to.equal('german');
+    expect(Polyglot.pluralTypeName('cy')).to.equal(undefined);
+    expect(Polyglot.pluralTypeName()).to.equal('german');
+  });
+
+  it('follows custom plural rules', function () {
+    var pluralRules = {
+      pluralTypes: {
+        dual: function (n) {
+          if (n === 1) {
+            return 0;
+          }
+          if (n === 2) {
+            return 1;
+          }
+          return 2;
+        }
+      },
+      pluralTypeToLanguages: { dual: ['en'] }
+    };
+    expect(Polyglot.pluralVariantCount('en', pluralRules)).to.equal(3);
+    expect(Polyglot.pluralTypeName('en', pluralRules)).to.equal('dual');
+  });
+});
+
+describe('validate', function () {
+  function problems(phrases, locale, options) {
+    return Polyglot.validate(phrases, locale, options).map(function (diagnostic) {
+      return [diagnostic.key, diagnostic.problem, diagnostic.position];
+    });
+  }
+
+  it('returns no diagnostics for valid phrases', function () {
+    expect(Polyglot.validate({
+      hello: 'Hello, %{name}!',
+      cars: '%{smart_count} car |||| %{smart_count} cars',
+      nav: { home: 'Home' },
+      label: '[=0] No cars |||| [one] A car |||| [other] %{smart_count} cars',
+      invited: '[gender:female] She |||| [gender:other] They'
+    }, 'en')).to.deep.equal([]);
+  });
+
+  it('returns the key, problem, position and message of each problem', function () {
+    expect(Polyglot.validate({ hello: 'Hello, %{name!' }, 'en')).to.deep.equal([{
+      key: 'hello',
+      problem: 'unclosed-placeholder',
+      position: 7,
+      message: 'The placeholder at 7 is not closed with "}"'
+    }]);
+  });
+
+  it('reports references to keys that the phrases do not have', function () {
+    expect(problems({
+      brand: { plus: 'Airbnb Plus' },
+      joined: 'Welcome to $t(brand.plus) and $t( brand.luxe )!',
+      message: '{count, plural, one {$t(brand.plus) home} other {$t(brand.pro) homes}}'
+    }, 'en', { messageFormat: 'icu' })).to.deep.equal([
+      ['joined', 'dangling-reference', 30],
+      ['message', 'dangling-reference', 49]
+    ]);
+    expect(Polyglot.validate({ a: '$t(b)' }, 'en')[0].message).to.equal('The reference at 0 is to the key "b", which is not defined');
+  });
+
+  it('reports malformed placeholders', function () {
+    expect(problems({
+      unclosed: 'Hi %{name, and %{other}',
+      nested: '%{a %{b}',
+      empty: 'Hi %{} and %{ , number}',
+      variant: '%{smart_count} car |||| %{smart_count cars'
+    }, 'en')).to.deep.equal([
+      ['unclosed', 'unclosed-placeholder', 3],
+      ['nested', 'unclosed-placeholder', 0],
+      ['empty', 'empty-placeholder', 3],
+      ['empty', 'empty-placeholder', 11],
+      ['variant', 'unclosed-placeholder', 24]
+    ]);
+  });
+
+  it('reports malformed placeholders with custom interpolation syntax', function () {
+    expect(problems({ hello: 'Hello, {{name}!' }, 'en', { interpolation: { prefix: '{{', suffix: '}}' } }))
+      .to.deep.equal([['hello', 'unclosed-placeholder', 7]]);
+  });
+
+  it('reports the wrong number of plural variants for the locale', function () {
+    var cars = '%{smart_count} машина |||| %{smart_count} машины';
+    expect(problems({ cars: cars }, 'ru')).to.deep.equal([['cars', 'plural-count', 0]]);
+    expect(Polyglot.validate({ cars: cars }, 'ru')[0].message).to.equal('Expected 3 plural variants for the locale, found 2');
+    expect(problems({ cars: cars + ' |||| %{smart_count} машин' }, 'ru')).to.deep.equal([]);
+    expect(problems({ cars: 'a |||| b |||| c' }, 'en')).to.deep.equal([['cars', 'plural-count', 0]]);
+    expect(problems({ cars: 'a |||| b |||| c' }, 'en', {
+      pluralRules: {
+        pluralTypes: { three: function (n) { return Math.min(n, 2); } },
+        pluralTypeToLanguages: { three: ['en'] }
+      }
+    })).to.deep.equal([]);
+  });
+
+  it('reports stray delimiters and empty variants', function () {
+    expect(problems({
+      stray: 'a ||||| b',
+      trailing: 'a| |||| b',
+      empty: 'a |||| |||| b',
+      last: 'a ||||'
+    }, 'en')).to.deep.equal([
+      ['stray', 'stray-delimiter', 6],
+      ['trailing', 'stray-delimiter', 1],
+      ['empty', 'plural-count', 0],
+      ['empty', 'empty-variant', 6],
+      ['last', 'empty-variant', 6]
+    ]);
+  });
+
+  it('reports problems with variant labels', function () {
+    expect(problems({
+      unused: '[one] a |||| [few] b |||| [other] c',
+      malformed: '[one] a |||| [othr] b',
+      fallback: '[=0] none |||| [one] one'
+    }, 'en')).to.deep.equal([
+      ['unused', 'unused-category', 13],
+      ['malformed', 'malformed-label', 13],
+      ['fallback', 'missing-other', 0]
+    ]);
+  });
+
+  it('reports phrases that are not strings, and skips compiled phrases', function () {
+    expect(problems({ count: 1, empty: null, compiled: function () {} }, 'en')).to.deep.equal([
+      ['count', 'invalid-phrase', 0],
+      ['empty', 'invalid-phrase', 0]
+    ]);
+  });
+
+  it('reports malformed ICU messages', function () {
+    var diagnostics = Polyglot.validate({
+      ok: '{count, plural, one {# car} other {# cars}}',
+      photos: '{count, plural, one {#}'
+    }, 'en', { messageFormat: 'icu' });
+    expect(diagnostics).to.have.lengthOf(1);
+    expect(diagnostics[0].key).to.equal('photos');
+    expect(diagnostics[0].problem).to.equal('malformed-message');
+    expect(diagnostics[0].position).to.equal(23);
+  });
+});
+
+describe('compare', function () {
+  function problems(source, target, locale, options) {
+    return Polyglot.compare(source, target, locale, options).map(function (diagnostic) {
+      return [diagnostic.key, diagnostic.problem].concat(diagnostic.placeholder || []);
+    });
+  }
+
+  it('returns no diagnostics for a complete translation', function () {
+    expect(Polyglot.compare({
+      hello: 'Hello, %{name}!',
+      cars: '%{smart_count} car |||| %{smart_count} cars',
+      nav: { home: 'Home' }
+    }, {
+      hello: 'Привет, %{name}!',
+      cars: '%{smart_count} машина |||| %{smart_count} машины |||| %{smart_count} машин',
+      'nav.home': 'Главная'
+    }, 'ru')).to.deep.equal([]);
+  });
+
+  it('reports missing and extra keys, flattened like extend', function () {
+    expect(Polyglot.compare({ nav: { home: 'Home', about: 'About' } }, { nav: { home: 'Accueil' }, bye: 'Salut' }, 'fr')).to.deep.equal([
+      { key: 'nav.about', problem: 'missing-key', message: 'The key is not translated' },
+      { key: 'bye', problem: 'extra-key', message: 'The key is not in the source phrases' }
+    ]);
+  });
+
+  it('reports missing and extra placeholders', function () {
+    expect(Polyglot.compare({ hello: 'Hello, %{name}!' }, { hello: 'Bonjour !' }, 'fr')).to.deep.equal([{
+      key: 'hello',
+      problem: 'missing-placeholder',
+      message: 'The placeholder "name" is missing from the translation',
+      placeholder: 'name'
+    }]);
+    expect(problems(
+      { total: 'Total: %{price, currency, EUR} for %{name}', cars: '%{smart_count} car |||| %{smart_count} cars' },
+      { total: 'Summe: %{price, currency, EUR} für %{nom}', cars: 'ein Auto |||| %{smart_count} Autos' },
+      'de'
+    )).to.deep.equal([
+      ['total', 'missing-placeholder', 'name'],
+      ['total', 'extra-placeholder', 'nom']
+    ]);
+  });
+
+  it('reports placeholders with custom interpolation syntax', function () {
+    expect(problems({ hello: 'Hello, {{name}}!' }, { hello: 'Hallo, %{name}!' }, 'de', {
+      interpolation: { prefix: '{{', suffix: '}}' }
+    })).to.deep.equal([['hello', 'missing-placeholder', 'name']]);
+  });
+
+  it('reports plural variants that do not match the locale', function () {
+    var source = { cars: '%{smart_count} car |||| %{smart_count} cars', hello: 'Hello' };
+    expect(Polyglot.compare(source, {
+      cars: '%{smart_count} машина |||| %{smart_count} машины',
+      hello: 'Привет |||| Привет'
+    }, 'ru')).to.deep.equal([
+      { key: 'cars', problem: 'plural-count', message: 'Expected 3 plural variants for the locale, found 2' },
+      { key: 'hello', problem: 'plural-count', message: 'The source phrase has no plural variants, found 2' }
+    ]);
+    expect(problems(source, { cars: '%{smart_count} 辆车', hello: '你好' }, 'zh')).to.deep.equal([]);
+    expect(problems(source, { cars: '[one] %{smart_count} voiture |||| [other] %{smart_count} voitures', hello: 'Bonjour' }, 'fr'))
+      .to.deep.equal([]);
+  });
+
+  it('compares the arguments of ICU messages', function () {
+    expect(problems(
+      { photos: '{name} took {count, plural, one {# photo} other {# photos}}' },
+      { photos: '{count, plural, one {# Foto} other {# Fotos}} von {nom}' },
+      'de',
+      { messageFormat: 'icu' }
+    )).to.deep.equal([
+      ['photos', 'missing-placeholder', 'name'],
+      ['photos', 'extra-placeholder', 'nom']
+    ]);
+  });
+
+  it('only compares the keys of phrases that are not strings or malformed ICU messages', function () {
+    expect(problems({ a: 'Hello, %{name}', b: 1 }, { a: 'Hallo, %{name', b: 'Eins' }, 'de')).to.deep.equal([
+      ['a', 'missing-placeholder', 'name']
+    ]);
+    expect(problems({ a: '{name', b: 'x' }, { a: 'x', b: '{' }, 'de', { messageFormat: 'icu' })).to.deep.equal([]);
   });
 });
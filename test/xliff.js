@@ -0,0 +1,176 @@
+'use strict';
+
+var Polyglot = require('../');
+var xliff = require('../xliff');
+var expect = require('chai').expect;
+
+describe('xliff', function () {
+  var en = {
+    nav: { home: 'Home', about: 'About us' },
+    hello: 'Hello, %{name} & co!',
+    cars: '%{smart_count} car |||| %{smart_count} cars'
+  };
+  var ru = {
+    nav: { home: 'Главная' },
+    hello: 'Привет, %{name} и компания!',
+    cars: '%{smart_count} машина |||| %{smart_count} машины |||| %{smart_count} машин'
+  };
+
+  describe('toXLIFF', function () {
+    it('writes an XLIFF 1.2 unit for every key of the source', function () {
+      expect(xliff.toXLIFF(en, { targetLocale: 'ru', target: ru })).to.equal([
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<xliff xmlns="urn:oasis:names:tc:xliff:document:1.2" version="1.2">',
+        '  <file original="phrases" datatype="plaintext" source-language="en" target-language="ru">',
+        '    <body>',
+        '      <trans-unit id="nav.home" resname="nav.home" xml:space="preserve">',
+        '        <source>Home</source>',
+        '        <target>Главная</target>',
+        '      </trans-unit>',
+        '      <trans-unit id="nav.about" resname="nav.about" xml:space="preserve">',
+        '        <source>About us</source>',
+        '        <target></target>',
+        '      </trans-unit>',
+        '      <trans-unit id="hello" resname="hello" xml:space="preserve">',
+        '        <source>Hello, <x id="1" equiv-text="%{name}"/> &amp; co!</source>',
+        '        <target>Привет, <x id="1" equiv-text="%{name}"/> и компания!</target>',
+        '      </trans-unit>',
+        '      <group id="cars" resname="cars" restype="x-gettext-plurals">',
+        '        <trans-unit id="cars[0]" xml:space="preserve">',
+        '          <source><x id="1" equiv-text="%{smart_count}"/> car</source>',
+        '          <target><x id="1" equiv-text="%{smart_count}"/> машина</target>',
+        '        </trans-unit>',
+        '        <trans-unit id="cars[1]" xml:space="preserve">',
+        '          <source><x id="1" equiv-text="%{smart_count}"/> cars</source>',
+        '          <target><x id="1" equiv-text="%{smart_count}"/> машины</target>',
+        '        </trans-unit>',
+        '        <trans-unit id="cars[2]" xml:space="preserve">',
+        '          <source><x id="1" equiv-text="%{smart_count}"/> cars</source>',
+        '          <target><x id="1" equiv-text="%{smart_count}"/> машин</target>',
+        '        </trans-unit>',
+        '      </group>',
+        '    </body>',
+        '  </file>',
+        '</xliff>',
+        ''
+      ].join('\n'));
+    });
+
+    it('writes XLIFF 2.0 units with the placeholders as original data', function () {
+      var output = xliff.toXLIFF({ hello: 'Hello, %{name}!' }, { version: '2.0', targetLocale: 'de' });
+      expect(output).to.equal([
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<xliff xmlns="urn:oasis:names:tc:xliff:document:2.0" version="2.0" srcLang="en" trgLang="de">',
+        '  <file id="f1">',
+        '    <group id="phrases">',
+        '      <unit id="u1" name="hello">',
+        '        <originalData>',
+        '          <data id="d1">%{name}</data>',
+        '        </originalData>',
+        '        <segment>',
+        '          <source xml:space="preserve">Hello, <ph id="1" dataRef="d1" equiv="%{name}"/>!</source>',
+        '        </segment>',
+        '      </unit>',
+        '    </group>',
+        '  </file>',
+        '</xliff>',
+        ''
+      ].join('\n'));
+    });
+
+    it('writes a group with as many units as the source has variants without a target locale', function () {
+      var output = xliff.toXLIFF({ cars: '%{smart_count} car |||| %{smart_count} cars' }, { version: '2.0' });
+      expect(output).to.contain('<group id="g1" name="cars" type="polyglot:plurals">');
+      expect(output).to.contain('<unit id="g1-1">');
+      expect(output).not.to.contain('<unit id="g1-2">');
+    });
+
+    it('protects the labels and delimiters of labeled variants', function () {
+      var output = xliff.toXLIFF({ items: '[one] %{n} item |||| [other] %{n} items' });
+      expect(output).to.contain([
+        '<source><x id="1" equiv-text="[one]"/> <x id="2" equiv-text="%{n}"/> item ',
+        '<x id="3" equiv-text="||||"/> <x id="4" equiv-text="[other]"/> <x id="2_2" equiv-text="%{n}"/> items</source>'
+      ].join(''));
+    });
+
+    it('follows custom interpolation', function () {
+      var output = xliff.toXLIFF({ hello: 'Hello, {{name}}' }, {
+        interpolation: { prefix: '{{', suffix: '}}' }
+      });
+      expect(output).to.contain('<source>Hello, <x id="1" equiv-text="{{name}}"/></source>');
+    });
+
+    it('throws for unknown versions', function () {
+      expect(function () { xliff.toXLIFF(en, { version: '1.1' }); }).to.throw(RangeError, 'Unknown XLIFF version "1.1"');
+    });
+  });
+
+  describe('fromXLIFF', function () {
+    it('round trips XLIFF 1.2 and 2.0', function () {
+      ['1.2', '2.0'].forEach(function (version) {
+        var output = xliff.toXLIFF(en, { version: version, targetLocale: 'ru', target: ru });
+        expect(xliff.fromXLIFF(output)).to.eql({
+          'nav.home': 'Главная',
+          hello: 'Привет, %{name} и компания!',
+          cars: '%{smart_count} машина |||| %{smart_count} машины |||| %{smart_count} машин'
+        });
+      });
+    });
+
+    it('round trips labeled variants', function () {
+      var items = { items: '[one] %{n} item |||| [other] %{n} items' };
+      var output = xliff.toXLIFF(items, { version: '2.0', target: items });
+      expect(xliff.fromXLIFF(output)).to.eql(items);
+    });
+
+    it('restores the inline codes of targets from their source', function () {
+      var output = [
+        '<xliff xmlns="urn:oasis:names:tc:xliff:document:1.2" version="1.2">',
+        '  <file original="phrases" source-language="en" target-language="fr" datatype="plaintext">',
+        '    <body>',
+        '      <trans-unit id="1" resname="hello">',
+        '        <source>Hello, <x id="name" equiv-text="%{name}"/>!</source>',
+        '        <target>Bonjour, <g id="b"><x id="name"/></g> !</target>',
+        '      </trans-unit>',
+        '      <trans-unit id="bye">',
+        '        <source>Bye, <ph id="1">%{name}</ph></source>',
+        '        <target><![CDATA[Salut & ]]><ph id="1">ignored</ph></target>',
+        '      </trans-unit>',
+        '    </body>',
+        '  </file>',
+        '</xliff>'
+      ].join('\n');
+      expect(xliff.fromXLIFF(output)).to.eql({
+        hello: 'Bonjour, %{name} !',
+        bye: 'Salut & %{name}'
+      });
+    });
+
+    it('decodes character references, beyond U+FFFF as well', function () {
+      var output = [
+        '<xliff xmlns="urn:oasis:names:tc:xliff:document:2.0" version="2.0" srcLang="en" trgLang="fr">',
+        '  <file id="f1">',
+        '    <unit id="smile">',
+        '      <segment><source>Smile</source><target>Souris &#x1F600; &#233;&amp;&#128512;</target></segment>',
+        '    </unit>',
+        '  </file>',
+        '</xliff>'
+      ].join('\n');
+      expect(xliff.fromXLIFF(output)).to.eql({ smile: 'Souris \ud83d\ude00 é&\ud83d\ude00' });
+    });
+
+    it('throws syntax errors for malformed files', function () {
+      expect(function () { xliff.fromXLIFF('<xliff><file></xliff>'); }).to.throw(SyntaxError, 'Malformed XLIFF: unexpected </xliff>');
+      expect(function () { xliff.fromXLIFF('<xliff><file>'); }).to.throw(SyntaxError, 'Malformed XLIFF: <file> is not closed');
+      expect(function () { xliff.fromXLIFF('<xliff>a < b</xliff>'); }).to.throw(SyntaxError, 'Malformed XLIFF: unexpected "<"');
+      expect(function () { xliff.fromXLIFF('<root/>'); }).to.throw(SyntaxError, 'Malformed XLIFF: no <xliff> element');
+    });
+
+    it('reads phrases that extend accepts', function () {
+      var polyglot = new Polyglot({ locale: 'ru' });
+      polyglot.extend(xliff.fromXLIFF(xliff.toXLIFF(en, { targetLocale: 'ru', target: ru })));
+      expect(polyglot.t('hello', { name: 'Анна' })).to.equal('Привет, Анна и компания!');
+      expect(polyglot.t('cars', 5)).to.equal('5 машин');
+    });
+  });
+});
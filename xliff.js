@@ -0,0 +1,464 @@
+//     (c) 2012-2018 Airbnb, Inc.
+//
+//     polyglot.js may be freely distributed under the terms of the BSD
+//     license. For all licensing information, details, and documention:
+//     http://airbnb.github.com/polyglot.js
+//
+//
+// Converters between Polyglot phrases and XLIFF 1.2 and 2.0 files, for
+// localization platforms that exchange those.
+//
+//     var xliff = require('node-polyglot/xliff');
+//     fs.writeFileSync('ru.xlf', xliff.toXLIFF(en, {targetLocale: 'ru', target: ru}));
+//     polyglot.extend(xliff.fromXLIFF(fs.readFileSync('ru.xlf', 'utf8')));
+//
+// Every phrase is a unit named by its key. Placeholders are inline codes,
+// `<x/>` in XLIFF 1.2 and `<ph/>` in XLIFF 2.0, so that translation tools
+// keep them intact, and so are the labels and `||||` delimiters of labeled
+// variants. Phrases with plural variants are groups with a unit for each
+// variant of the target locale, in the order of its plural type.
+//
+
+'use strict';
+
+var has = require('has');
+var trim = require('string.prototype.trim');
+var Polyglot = require('./runtime');
+var syntax = require('./lib/syntax');
+var phraseParser = require('./lib/phrase-parser');
+var flattenPhrases = require('./lib/flatten-phrases');
+var pluralVariants = require('./lib/plural-variants');
+var fromCodePoint = require('./lib/from-code-point');
+
+var replace = String.prototype.replace;
+var split = String.prototype.split;
+
+var versions = ['1.2', '2.0'];
+
+// The types of the groups of plural variants, in XLIFF 1.2 and 2.0.
+var pluralGroupTypes = ['x-gettext-plurals', 'polyglot:plurals'];
+
+// #### Writing XLIFF
+
+function escapeXml(text) {
+  return replace.call(text, /[&<>"]/g, function (character) {
+    return {
+      '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;'
+    }[character];
+  });
+}
+
+// Splits text into literal strings and the `{code}` of its placeholders.
+function placeholderParts(text, tokenRegex, parts) {
+  var lastIndex = 0;
+  replace.call(text, tokenRegex, function (expression, argument, offset) {
+    parts.push(text.slice(lastIndex, offset), { code: expression });
+    lastIndex = offset + expression.length;
+    return expression;
+  });
+  parts.push(text.slice(lastIndex));
+  return parts;
+}
+
+// Splits a phrase into literal strings and inline codes: its placeholders,
+// and the labels and delimiters of its variants if it has several.
+function inlineParts(phrase, tokenRegex) {
+  var variants = split.call(phrase, syntax.delimiter);
+  if (variants.length === 1) {
+    return placeholderParts(phrase, tokenRegex, []);
+  }
+  var parts = [];
+  variants.forEach(function (raw, index) {
+    if (index > 0) {
+      parts.push({ code: syntax.delimiter });
+    }
+    var start = raw.search(/\S|$/);
+    var trimmed = trim(raw);
+    var labelLength = trimmed.length - phraseParser.parseVariant(raw).text.length;
+    if (labelLength > 0) {
+      var label = raw.slice(start, start + labelLength);
+      parts.push(raw.slice(0, start), { code: trim(label) }, label.slice(trim(label).length));
+      placeholderParts(raw.slice(start + labelLength), tokenRegex, parts);
+    } else {
+      placeholderParts(raw, tokenRegex, parts);
+    }
+  });
+  return parts;
+}
+
+// Numbers the inline codes of a unit, so that the same code has the same id
+// in the source and the target.
+function codeIds() {
+  var ids = {};
+  var codes = [];
+  return {
+    id: function (code) {
+      if (!has(ids, code)) {
+        codes.push(code);
+        ids[code] = String(codes.length);
+      }
+      return ids[code];
+    },
+    codes: codes
+  };
+}
+
+// Formats the content of a `<source>` or `<target>`. A code that appears
+// several times gets a new id for each time after the first.
+function inlineContent(phrase, context, ids) {
+  var occurrences = {};
+  return inlineParts(phrase, context.tokenRegex).map(function (part) {
+    if (typeof part === 'string') {
+      return escapeXml(part);
+    }
+    var codeId = ids.id(part.code);
+    occurrences[codeId] = (occurrences[codeId] || 0) + 1;
+    var id = occurrences[codeId] > 1 ? codeId + '_' + occurrences[codeId] : codeId;
+    return context.version === '1.2'
+      ? '<x id="' + id + '" equiv-text="' + escapeXml(part.code) + '"/>'
+      : '<ph id="' + id + '" dataRef="d' + codeId + '" equiv="' + escapeXml(part.code) + '"/>';
+  }).join('');
+}
+
+// Returns the lines of a unit, indented by `indent`.
+function unitLines(id, name, source, target, context, indent) {
+  var ids = codeIds();
+  var sourceContent = inlineContent(source, context, ids);
+  var targetContent = typeof target === 'string' ? inlineContent(target, context, ids) : null;
+  var lines;
+
+  if (context.version === '1.2') {
+    lines = [
+      '<trans-unit id="' + escapeXml(id) + '"' + (name ? ' resname="' + escapeXml(name) + '"' : '') + ' xml:space="preserve">',
+      '  <source>' + sourceContent + '</source>'
+    ];
+    if (targetContent !== null) {
+      lines.push('  <target>' + targetContent + '</target>');
+    }
+    lines.push('</trans-unit>');
+  } else {
+    lines = ['<unit id="' + escapeXml(id) + '"' + (name ? ' name="' + escapeXml(name) + '"' : '') + '>'];
+    if (ids.codes.length > 0) {
+      lines.push('  <originalData>');
+      ids.codes.forEach(function (code, index) {
+        lines.push('    <data id="d' + (index + 1) + '">' + escapeXml(code) + '</data>');
+      });
+      lines.push('  </originalData>');
+    }
+    lines.push('  <segment>', '    <source xml:space="preserve">' + sourceContent + '</source>');
+    if (targetContent !== null) {
+      lines.push('    <target xml:space="preserve">' + targetContent + '</target>');
+    }
+    lines.push('  </segment>', '</unit>');
+  }
+  return lines.map(function (line) { return indent + line; });
+}
+
+// Returns the lines of a phrase: a unit, or a group of units for phrases
+// with plural variants.
+function phraseLines(key, index, source, target, context) {
+  var sourceVariants = pluralVariants(source);
+  var targetVariants = typeof target === 'string' ? pluralVariants(target) : null;
+  var id = context.version === '1.2' ? key : 'u' + index;
+  if (!sourceVariants && !targetVariants) {
+    return unitLines(id, key, source, target, context, '      ');
+  }
+
+  var count = context.pluralCount || (sourceVariants || targetVariants).length;
+  var groupId = context.version === '1.2' ? key : 'g' + index;
+  var lines = [context.version === '1.2'
+    ? '      <group id="' + escapeXml(groupId) + '" resname="' + escapeXml(key) + '" restype="' + pluralGroupTypes[0] + '">'
+    : '      <group id="' + escapeXml(groupId) + '" name="' + escapeXml(key) + '" type="' + pluralGroupTypes[1] + '">'];
+  for (var i = 0; i < count; i += 1) {
+    var variantId = context.version === '1.2' ? key + '[' + i + ']' : groupId + '-' + i;
+    var sourceVariant = sourceVariants
+      ? sourceVariants[Math.min(i, sourceVariants.length - 1)]
+      : source;
+    var targetVariant = targetVariants ? targetVariants[i] : target;
+    lines.push.apply(lines, unitLines(
+      variantId,
+      null,
+      sourceVariant,
+      typeof target === 'string' ? targetVariant || '' : null,
+      context,
+      '        '
+    ));
+  }
+  lines.push('      </group>');
+  return lines;
+}
+
+// ### toXLIFF(source[, options])
+//
+// Converts source phrases, nested or flat, into an XLIFF file, with a unit
+// for every key. The options are:
+//
+//  - `version`: `"1.2"` (the default) or `"2.0"`;
+//  - `sourceLocale`: the locale of the source phrases, `"en"` by default;
+//  - `targetLocale`: the locale of the translation, which sets the number
+//    of plural variants;
+//  - `target`: the phrases of the translation, nested or flat, which are
+//    the targets of the units. Without them, the units only have a source;
+//  - `interpolation`: the `prefix` and `suffix` of placeholders, as for
+//    `new Polyglot`;
+//  - `pluralRules`: custom plural rules, as for `new Polyglot`.
+function toXLIFF(source, options) {
+  var opts = options || {};
+  var version = opts.version || '1.2';
+  if (versions.indexOf(version) === -1) {
+    throw new RangeError('Unknown XLIFF version "' + version + '"');
+  }
+  var sourceLocale = opts.sourceLocale || 'en';
+  var targetLocale = opts.targetLocale;
+  var context = {
+    version: version,
+    tokenRegex: syntax.constructTokenRegex(opts.interpolation),
+    pluralCount: targetLocale ? Polyglot.pluralVariantCount(targetLocale, opts.pluralRules) : null
+  };
+
+  var targets = {};
+  flattenPhrases(opts.target).forEach(function (entry) { targets[entry[0]] = entry[1]; });
+
+  var lines = ['<?xml version="1.0" encoding="UTF-8"?>'];
+  var locales = version === '1.2'
+    ? ''
+    : ' srcLang="' + escapeXml(sourceLocale) + '"' + (targetLocale ? ' trgLang="' + escapeXml(targetLocale) + '"' : '');
+  lines.push('<xliff xmlns="urn:oasis:names:tc:xliff:document:' + version + '" version="' + version + '"' + locales + '>');
+  if (version === '1.2') {
+    lines.push(
+      '  <file original="phrases" datatype="plaintext" source-language="' + escapeXml(sourceLocale) + '"'
+      + (targetLocale ? ' target-language="' + escapeXml(targetLocale) + '"' : '') + '>',
+      '    <body>'
+    );
+  } else {
+    lines.push('  <file id="f1">', '    <group id="phrases">');
+  }
+
+  flattenPhrases(source).forEach(function (entry, index) {
+    var target = has(targets, entry[0]) ? targets[entry[0]] : null;
+    if (typeof entry[1] === 'string') {
+      lines.push.apply(lines, phraseLines(
+        entry[0],
+        index + 1,
+        entry[1],
+        opts.target ? (target || '') : null,
+        context
+      ));
+    }
+  });
+
+  lines.push(version === '1.2' ? '    </body>' : '    </group>', '  </file>', '</xliff>', '');
+  return lines.join('\n');
+}
+
+// #### Reading XLIFF
+
+var entities = {
+  lt: '<', gt: '>', amp: '&', quot: '"', apos: '\''
+};
+
+function unescapeXml(text) {
+  return replace.call(text, /&(#x[0-9a-fA-F]+|#\d+|\w+);/g, function (match, entity) {
+    if (entity.charAt(0) === '#') {
+      return fromCodePoint(entity.charAt(1) === 'x'
+        ? parseInt(entity.slice(2), 16)
+        : parseInt(entity.slice(1), 10));
+    }
+    return has(entities, entity) ? entities[entity] : match;
+  });
+}
+
+var xmlTokenRegex = /<!--[\s\S]*?-->|<!\[CDATA\[([\s\S]*?)\]\]>|<\?[\s\S]*?\?>|<!DOCTYPE[^>]*>|<(\/?)([\w:.-]+)((?:\s+[\w:.-]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>|[^<]+|</g;
+var attributeRegex = /([\w:.-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+
+function parseAttributes(text) {
+  var attributes = {};
+  replace.call(text, attributeRegex, function (attribute, name, double, single) {
+    attributes[name] = unescapeXml(double !== undefined ? double : single);
+    return attribute;
+  });
+  return attributes;
+}
+
+function xmlError(message) {
+  return new SyntaxError('Malformed XLIFF: ' + message);
+}
+
+// Parses XML into a tree of elements, with their `name` without namespace
+// prefix, `attributes` and `children`, which are elements and strings.
+function parseXml(text) {
+  var root = { name: null, attributes: {}, children: [] };
+  var stack = [root];
+  xmlTokenRegex.lastIndex = 0;
+  var match = xmlTokenRegex.exec(text);
+  while (match) {
+    var parent = stack[stack.length - 1];
+    var token = match[0];
+    if (match[1] !== undefined) {
+      parent.children.push(match[1]);
+    } else if (match[3]) {
+      var name = match[3].slice(match[3].indexOf(':') + 1);
+      if (match[2]) {
+        if (stack.length === 1 || parent.name !== name) {
+          throw xmlError('unexpected </' + match[3] + '>');
+        }
+        stack.pop();
+      } else {
+        var element = { name: name, attributes: parseAttributes(match[4]), children: [] };
+        parent.children.push(element);
+        if (!match[5]) {
+          stack.push(element);
+        }
+      }
+    } else if (token === '<') {
+      throw xmlError('unexpected "<"');
+    } else if (token.charAt(0) !== '<') {
+      parent.children.push(unescapeXml(token));
+    }
+    match = xmlTokenRegex.exec(text);
+  }
+  if (stack.length > 1) {
+    throw xmlError('<' + stack[stack.length - 1].name + '> is not closed');
+  }
+  return root;
+}
+
+function childElements(element, name) {
+  return element.children.filter(function (child) {
+    return typeof child !== 'string' && (!name || child.name === name);
+  });
+}
+
+// Finds the descendants of an element named `name`, without looking into
+// them.
+function findElements(element, name, found) {
+  var result = found || [];
+  childElements(element).forEach(function (child) {
+    if (child.name === name) {
+      result.push(child);
+    } else {
+      findElements(child, name, result);
+    }
+  });
+  return result;
+}
+
+// Returns the text of inline content, with the inline codes replaced by the
+// text they stand for: their original data, or the code of the same id in
+// the source.
+function inlineText(element, codes) {
+  return element.children.map(function (child) {
+    if (typeof child === 'string') {
+      return child;
+    }
+    var attributes = child.attributes;
+    if (child.name === 'x' || child.name === 'ph') {
+      if (has(attributes, 'dataRef') && has(codes.data, attributes.dataRef)) {
+        return codes.data[attributes.dataRef];
+      }
+      if (has(codes.byId, attributes.id)) {
+        return codes.byId[attributes.id];
+      }
+      if (has(attributes, 'equiv-text') || has(attributes, 'equiv')) {
+        return attributes['equiv-text'] || attributes.equiv;
+      }
+    }
+    return inlineText(child, codes);
+  }).join('');
+}
+
+// Returns the ids of the inline codes of a source, with the text they stand
+// for, as `[id, text]` entries.
+function sourceCodes(element, codes, found) {
+  var entries = found || [];
+  childElements(element).forEach(function (child) {
+    var attributes = child.attributes;
+    if ((child.name === 'x' || child.name === 'ph') && has(attributes, 'id')) {
+      var text = has(attributes, 'dataRef') && has(codes.data, attributes.dataRef)
+        ? codes.data[attributes.dataRef]
+        : attributes['equiv-text'] || attributes.equiv || inlineText(child, codes);
+      entries.push([attributes.id, text]);
+    } else {
+      sourceCodes(child, codes, entries);
+    }
+  });
+  return entries;
+}
+
+// Returns the target of a unit, or `null` if it has none.
+function unitTarget(unit) {
+  var codes = { data: {}, byId: {} };
+  findElements(unit, 'data').forEach(function (data) {
+    codes.data[data.attributes.id] = inlineText(data, codes);
+  });
+  var sources = findElements(unit, 'source');
+  var targets = findElements(unit, 'target');
+  if (targets.length === 0) {
+    return null;
+  }
+  sources.forEach(function (source) {
+    sourceCodes(source, codes).forEach(function (entry) {
+      codes.byId[entry[0]] = entry[1];
+    });
+  });
+  return targets.map(function (target) { return inlineText(target, codes); }).join('');
+}
+
+function unitKey(unit) {
+  var attributes = unit.attributes;
+  return attributes.resname || attributes.name || attributes.id;
+}
+
+function isPluralGroup(element) {
+  var type = element.attributes.restype || element.attributes.type;
+  return element.name === 'group' && pluralGroupTypes.indexOf(type) !== -1;
+}
+
+// Reads the phrases of the units and groups of an element, as `[key,
+// phrase]` entries.
+function readUnits(element, found) {
+  var entries = found || [];
+  childElements(element).forEach(function (child) {
+    if (isPluralGroup(child)) {
+      var variants = childElements(child).filter(function (unit) {
+        return unit.name === 'trans-unit' || unit.name === 'unit';
+      }).map(unitTarget);
+      if (variants.some(function (variant) { return variant; })) {
+        var joined = variants.map(function (variant) { return variant || ''; });
+        entries.push([unitKey(child), joined.join(' ' + syntax.delimiter + ' ')]);
+      }
+    } else if (child.name === 'trans-unit' || child.name === 'unit') {
+      var target = unitTarget(child);
+      if (target) {
+        entries.push([unitKey(child), target]);
+      }
+    } else {
+      readUnits(child, entries);
+    }
+  });
+  return entries;
+}
+
+// ### fromXLIFF(text)
+//
+// Converts an XLIFF 1.2 or 2.0 file into flat phrases, which `extend`
+// accepts, from the targets of its units. The key of each phrase is the
+// `resname` or `name` of its unit, or its `id`. Units without a target are
+// left out. Throws a `SyntaxError` for malformed files.
+function fromXLIFF(text) {
+  var root = parseXml(text);
+  var xliff = childElements(root, 'xliff')[0];
+  if (!xliff) {
+    throw xmlError('no <xliff> element');
+  }
+  var phrases = {};
+  readUnits(xliff).forEach(function (entry) {
+    phrases[entry[0]] = entry[1];
+  });
+  return phrases;
+}
+
+module.exports = {
+  toXLIFF: toXLIFF,
+  fromXLIFF: fromXLIFF
+};